@@ -0,0 +1,267 @@
+// Content-script side of the background translation port
+// All provider traffic goes through the background service worker, which holds the API keys.
+
+const TRANSLATION_PORT_NAME = 'translation';
+
+let port = null;
+let nextRequestId = 1;
+let pendingRequests = new Map(); // requestId -> { resolve, reject, onPartial }
+let lastConfiguration = null; // Replayed when the port has to reconnect
+
+/**
+ * Handle a message from the background worker
+ * @param {Object} message - Response message
+ */
+function handlePortMessage(message) {
+  const request = pendingRequests.get(message.requestId);
+  if (!request) return;
+  
+  if (message.type === 'partial') {
+    if (request.onPartial) {
+      request.onPartial(message.text);
+    }
+  } else if (message.type === 'result') {
+    pendingRequests.delete(message.requestId);
+    request.resolve(message.result);
+  } else if (message.type === 'error') {
+    pendingRequests.delete(message.requestId);
+    
+    const error = new Error(message.message);
+    error.status = message.status;
+    error.retryAfter = message.retryAfter;
+    error.timedOut = message.timedOut;
+    error.network = message.network;
+    if (message.aborted) {
+      error.name = 'AbortError';
+    }
+    request.reject(error);
+  }
+}
+
+/**
+ * Fail all pending requests after the port was closed
+ */
+function handlePortDisconnect() {
+  port = null;
+  
+  const requests = Array.from(pendingRequests.values());
+  pendingRequests.clear();
+  
+  for (const request of requests) {
+    const error = new Error("Connection to background worker lost");
+    error.network = true; // Transient: the next request reconnects
+    request.reject(error);
+  }
+}
+
+/**
+ * Get the port, connecting (or reconnecting) when needed
+ * The service worker can be stopped by the browser at any time, which closes the port.
+ * @returns {chrome.runtime.Port} - Connected port
+ */
+function getPort() {
+  if (port) return port;
+  
+  port = chrome.runtime.connect({ name: TRANSLATION_PORT_NAME });
+  port.onMessage.addListener(handlePortMessage);
+  port.onDisconnect.addListener(handlePortDisconnect);
+  
+  // A restarted worker doesn't know this tab's provider settings
+  if (lastConfiguration) {
+    port.postMessage({
+      type: 'request',
+      requestId: nextRequestId++,
+      method: 'configure',
+      params: lastConfiguration
+    });
+  }
+  
+  return port;
+}
+
+/**
+ * Send a request to the background worker
+ * @param {string} method - Request method ("translate", "checkConnection", ...)
+ * @param {Object} params - Request parameters
+ * @param {Function} [onPartial] - Called with streamed partial results
+ * @param {AbortSignal} [signal] - Cancels the request in the background worker too
+ * @returns {Promise<*>} - Request result
+ */
+function sendBackgroundRequest(method, params, onPartial, signal) {
+  return new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    
+    const createAbortError = () => {
+      const error = new Error("Request cancelled");
+      error.name = 'AbortError';
+      return error;
+    };
+    
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    
+    const onAbort = () => {
+      if (!pendingRequests.has(requestId)) return;
+      
+      pendingRequests.delete(requestId);
+      if (port) {
+        port.postMessage({ type: 'cancel', requestId });
+      }
+      reject(createAbortError());
+    };
+    
+    const cleanup = () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    
+    pendingRequests.set(requestId, {
+      resolve: result => {
+        cleanup();
+        resolve(result);
+      },
+      reject: error => {
+        cleanup();
+        reject(error);
+      },
+      onPartial
+    });
+    
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+    
+    try {
+      getPort().postMessage({ type: 'request', requestId, method, params });
+    } catch (error) {
+      pendingRequests.delete(requestId);
+      cleanup();
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Create a provider proxy that runs requests in the background worker
+ * Implements the same interface as the providers in providers/index.js.
+ * @param {string} providerId - Provider ID
+ * @returns {Object} - Provider proxy
+ */
+function createRemoteProvider(providerId) {
+  let model = "";
+  
+  return {
+    id: providerId,
+    name: providerId,
+    
+    // Only the provider and model are sent: the worker uses its own endpoint settings
+    configure(providerOptions = {}) {
+      model = providerOptions.model || "";
+      lastConfiguration = { providerId, model };
+      sendBackgroundRequest('configure', lastConfiguration).catch(() => {
+        // Replayed on the next connection; a rejected model fails the connection check
+      });
+    },
+    
+    getModel() {
+      return model;
+    },
+    
+    translate(text, inputLang, outputLang, requestOptions = {}) {
+      return sendBackgroundRequest(
+        'translate',
+        {
+          text,
+          inputLang,
+          outputLang,
+          context: requestOptions.context,
+          glossary: requestOptions.glossary
+        },
+        requestOptions.onPartial,
+        requestOptions.signal
+      );
+    },
+    
+    checkConnection() {
+      return sendBackgroundRequest('checkConnection', {});
+    },
+    
+    summarize(text, outputLang, requestOptions = {}) {
+      return sendBackgroundRequest(
+        'summarize',
+        { text, outputLang, merge: requestOptions.merge === true },
+        undefined,
+        requestOptions.signal
+      );
+    },
+    
+    listModels() {
+      return sendBackgroundRequest('listModels', {});
+    }
+  };
+}
+
+/**
+ * Look up a translation in the persistent cache
+ * The background worker adds the session's provider and model to the key.
+ * @param {string} text - Source text
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {string} [fingerprint] - Fingerprint of the prompts, glossary, context and masking
+ * @returns {Promise<string|null>} - Cached translation, or null on a miss
+ */
+function getCachedTranslation(text, inputLang, outputLang, fingerprint) {
+  return sendBackgroundRequest('getCachedTranslation', { text, inputLang, outputLang, fingerprint });
+}
+
+/**
+ * Store a translation in the persistent cache
+ * @param {string} text - Source text
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {string} translation - Translated text
+ * @param {string} [fingerprint] - Fingerprint of the prompts, glossary, context and masking
+ * @returns {Promise<void>}
+ */
+function cacheTranslation(text, inputLang, outputLang, translation, fingerprint) {
+  return sendBackgroundRequest('cacheTranslation', { text, inputLang, outputLang, translation, fingerprint });
+}
+
+/**
+ * Start storing a meeting session in the history
+ * @param {Object} info - { meetingName, url, inputLang, outputLangs, startedAt }
+ * @returns {Promise<string>} - Session ID
+ */
+function startSession(info) {
+  return sendBackgroundRequest('startSession', info);
+}
+
+/**
+ * Store a finalized utterance of a session
+ * @param {string} sessionId - Session ID
+ * @param {Object} utterance - Utterance, see session-store.js
+ * @returns {Promise<void>}
+ */
+function saveSessionUtterance(sessionId, utterance) {
+  return sendBackgroundRequest('saveSessionUtterance', { sessionId, utterance });
+}
+
+/**
+ * Mark a session as ended
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+function endSession(sessionId) {
+  return sendBackgroundRequest('endSession', { sessionId });
+}
+
+export {
+  TRANSLATION_PORT_NAME,
+  createRemoteProvider,
+  getCachedTranslation,
+  cacheTranslation,
+  startSession,
+  saveSessionUtterance,
+  endSession
+};
@@ -0,0 +1,325 @@
+// Background service worker
+// Owns the API credentials and runs every provider request on behalf of content scripts.
+// Content scripts connect through a long-lived port (see background-client.js).
+import { debugLog } from './utils.js';
+import { getProvider } from './providers/index.js';
+import {
+  loadCredentials,
+  saveCredentials,
+  getCredentialStatus
+} from './credentials.js';
+import { initSettings } from './settings.js';
+import {
+  getCachedTranslation,
+  cacheTranslation,
+  getCacheStats,
+  clearTranslationCache
+} from './translation-cache.js';
+import {
+  createSession,
+  saveSessionUtterance,
+  endSession,
+  listSessions,
+  getSession,
+  deleteSession
+} from './session-store.js';
+import { TRANSLATION_PORT_NAME } from './background-client.js';
+
+// Make sure credentials are loaded before the first request is served
+const credentialsReady = loadCredentials().catch(error => {
+  debugLog(`Failed to load credentials: ${error.message}`);
+});
+
+// Providers read Config at request time, so options page overrides apply here too
+const settingsReady = initSettings();
+
+/**
+ * Get the provider for a port session with the session settings applied
+ * @param {Object} session - Port session with providerId and model
+ * @returns {Object} - Configured provider
+ */
+function getSessionProvider(session) {
+  const provider = getProvider(session.providerId);
+  
+  // Providers keep settings at module level, so re-apply them for every request
+  // in case another tab configured the same provider differently
+  if (typeof provider.configure === 'function') {
+    provider.configure({ model: session.model });
+  }
+  
+  return provider;
+}
+
+/**
+ * Apply the provider and model a content script asked for
+ * Endpoints, headers and keys always come from the worker's own settings and
+ * credentials; the page only picks a model the configured endpoint lists.
+ * @param {Object} session - Port session
+ * @param {Object} params - { providerId, model }
+ * @returns {Promise<void>}
+ */
+async function configureSession(session, params) {
+  session.providerId = typeof params.providerId === 'string' ? params.providerId : null;
+  session.model = '';
+  session.modelError = null;
+  
+  const model = typeof params.model === 'string' ? params.model.trim() : '';
+  if (!model) return;
+  
+  const provider = getSessionProvider(session);
+  if (typeof provider.listModels !== 'function') {
+    session.modelError = `${provider.name} has no model choice`;
+    throw new Error(session.modelError);
+  }
+  
+  let models;
+  try {
+    models = await provider.listModels();
+  } catch (error) {
+    session.modelError = `Failed to check model "${model}": ${error.message}`;
+    throw error;
+  }
+  
+  if (!models.includes(model)) {
+    session.modelError = `Model "${model}" is not offered by the ${provider.name} endpoint`;
+    throw new Error(session.modelError);
+  }
+  
+  session.model = model;
+}
+
+/**
+ * Run a single request from a content script
+ * @param {Object} session - Port session
+ * @param {Object} message - Request message
+ * @param {Function} onPartial - Called with streamed partial text
+ * @param {AbortSignal} signal - Aborted when the content script cancels the request
+ * @returns {Promise<*>} - Request result
+ */
+async function handleRequest(session, message, onPartial, signal) {
+  await credentialsReady;
+  await settingsReady;
+  
+  const params = message.params || {};
+  
+  if (message.method === 'configure') {
+    session.configured = configureSession(session, params);
+    await session.configured;
+    return { model: getModelName(getSessionProvider(session)) };
+  }
+  
+  // Requests sent right after "configure" wait until the model was checked
+  await session.configured.catch(() => {});
+  
+  switch (message.method) {
+    
+    case 'translate':
+      return getSessionProvider(session).translate(
+        params.text,
+        params.inputLang,
+        params.outputLang,
+        { onPartial, signal, context: params.context, glossary: params.glossary }
+      );
+    
+    case 'getCachedTranslation':
+      return getCachedTranslation(getCacheEntry(session, params)).catch(error => {
+        // A broken cache must never block translation
+        debugLog(`Cache lookup failed: ${error.message}`);
+        return null;
+      });
+    
+    case 'cacheTranslation':
+      return cacheTranslation({
+        ...getCacheEntry(session, params),
+        translation: params.translation
+      });
+    
+    case 'checkConnection':
+      // A rejected model must not fall back to the default one unnoticed
+      if (session.modelError) {
+        debugLog(`API check failed: ${session.modelError}`);
+        return false;
+      }
+      return getSessionProvider(session).checkConnection();
+    
+    case 'summarize': {
+      const provider = getSessionProvider(session);
+      if (typeof provider.summarize !== 'function') {
+        throw new Error(`${provider.name} can't summarize meetings, use an OpenAI-compatible provider`);
+      }
+      return provider.summarize(params.text, params.outputLang, { signal, merge: params.merge });
+    }
+    
+    case 'startSession':
+      return createSession(params);
+    
+    case 'saveSessionUtterance':
+      return saveSessionUtterance(params.sessionId, params.utterance);
+    
+    case 'endSession':
+      return endSession(params.sessionId);
+    
+    case 'listModels': {
+      const provider = getSessionProvider(session);
+      return typeof provider.listModels === 'function' ? provider.listModels() : [];
+    }
+    
+    default:
+      throw new Error(`Unknown request method: ${message.method}`);
+  }
+}
+
+/**
+ * Describe a cache entry for the session's provider and model
+ * @param {Object} session - Port session
+ * @param {Object} params - Source text, languages and request fingerprint
+ * @returns {Object} - Cache entry fields
+ */
+function getCacheEntry(session, params) {
+  const provider = getSessionProvider(session);
+  return {
+    provider: provider.id,
+    model: getModelName(provider),
+    inputLang: params.inputLang,
+    outputLang: params.outputLang,
+    text: params.text,
+    fingerprint: params.fingerprint
+  };
+}
+
+/**
+ * Get the model a provider will use, if it has a model choice
+ * @param {Object} provider - Provider implementation
+ * @returns {string} - Model name or empty string
+ */
+function getModelName(provider) {
+  return typeof provider.getModel === 'function' ? provider.getModel() : "";
+}
+
+// Serve translation requests from content scripts
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== TRANSLATION_PORT_NAME) return;
+  
+  const session = { providerId: null, model: '', modelError: null, configured: Promise.resolve() };
+  const runningRequests = new Map(); // requestId -> AbortController
+  let isConnected = true;
+  
+  const postMessage = message => {
+    if (!isConnected) return;
+    try {
+      port.postMessage(message);
+    } catch (e) {
+      // Port closed while the request was running
+      isConnected = false;
+    }
+  };
+  
+  port.onMessage.addListener(message => {
+    if (!message) return;
+    
+    // The request scheduler cancels superseded requests
+    if (message.type === 'cancel') {
+      const controller = runningRequests.get(message.requestId);
+      if (controller) {
+        controller.abort();
+      }
+      return;
+    }
+    
+    if (message.type !== 'request') return;
+    
+    const { requestId } = message;
+    const controller = new AbortController();
+    const onPartial = text => postMessage({ type: 'partial', requestId, text });
+    runningRequests.set(requestId, controller);
+    
+    handleRequest(session, message, onPartial, controller.signal)
+      .then(result => postMessage({ type: 'result', requestId, result }))
+      .catch(error => {
+        if (!controller.signal.aborted) {
+          debugLog(`Background request "${message.method}" failed: ${error.message}`);
+        }
+        
+        // Keep the details the scheduler needs to decide on retries
+        postMessage({
+          type: 'error',
+          requestId,
+          message: error.message,
+          status: error.status,
+          retryAfter: error.retryAfter,
+          timedOut: error.timedOut === true,
+          network: error instanceof TypeError, // fetch() network failures
+          aborted: controller.signal.aborted
+        });
+      })
+      .finally(() => runningRequests.delete(requestId));
+  });
+  
+  port.onDisconnect.addListener(() => {
+    isConnected = false;
+    
+    // Nobody is waiting for the results any more
+    for (const controller of runningRequests.values()) {
+      controller.abort();
+    }
+    runningRequests.clear();
+  });
+});
+
+/**
+ * Check if a message comes from a page of this extension
+ * Extension pages opened in tabs (options, history) have sender.tab set too, so
+ * content scripts are told apart by the URL of the sending document.
+ * @param {Object} sender - Message sender
+ * @returns {boolean} - True for extension pages, false for content scripts
+ */
+function isExtensionPage(sender) {
+  return sender.id === chrome.runtime.id &&
+    typeof sender.url === 'string' &&
+    sender.url.startsWith(chrome.runtime.getURL(''));
+}
+
+// Credential, cache and session history management for the extension pages
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Only extension pages may read or change credentials, never content scripts
+  if (!isExtensionPage(sender)) return false;
+  
+  if (message.action === "saveCredentials") {
+    saveCredentials(message.credentials || {})
+      .then(() => sendResponse({ status: "success", credentials: getCredentialStatus() }))
+      .catch(error => sendResponse({ status: "error", message: error.message }));
+    return true;
+  } else if (message.action === "getCacheStats") {
+    getCacheStats()
+      .then(stats => sendResponse({ status: "success", stats }))
+      .catch(error => sendResponse({ status: "error", message: error.message }));
+    return true;
+  } else if (message.action === "clearCache") {
+    clearTranslationCache()
+      .then(() => sendResponse({ status: "success" }))
+      .catch(error => sendResponse({ status: "error", message: error.message }));
+    return true;
+  } else if (message.action === "listSessions") {
+    listSessions()
+      .then(sessions => sendResponse({ status: "success", sessions }))
+      .catch(error => sendResponse({ status: "error", message: error.message }));
+    return true;
+  } else if (message.action === "getSession") {
+    getSession(message.sessionId)
+      .then(session => sendResponse({ status: "success", session }))
+      .catch(error => sendResponse({ status: "error", message: error.message }));
+    return true;
+  } else if (message.action === "deleteSession") {
+    deleteSession(message.sessionId)
+      .then(() => sendResponse({ status: "success" }))
+      .catch(error => sendResponse({ status: "error", message: error.message }));
+    return true;
+  } else if (message.action === "getCredentialStatus") {
+    credentialsReady.then(() => {
+      sendResponse({ status: "success", credentials: getCredentialStatus() });
+    });
+    return true;
+  }
+  
+  return false;
+});
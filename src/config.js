@@ -1,8 +1,7 @@
 // Configuration settings
+// API keys are not part of the build: they are stored by the background
+// service worker (see credentials.js)
 const Config = {
-  // API key for OpenAI
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY || "",
-  
   // Default languages
   DEFAULT_INPUT_LANG: "Russian",
   DEFAULT_OUTPUT_LANG: "English",
@@ -16,18 +15,76 @@ const Config = {
   // OpenAI model to use
   MODEL_NAME: "gpt-3.5-turbo",
   
+  // OpenAI-compatible endpoint (e.g. "http://localhost:8000/v1" for vLLM,
+  // "http://localhost:11434/v1" for Ollama). Must include the API version path.
+  OPENAI_BASE_URL: "https://api.openai.com/v1",
+  
+  // Translation provider used when the session doesn't specify one
+  // Supported: "openai", "deepl", "azure", "libretranslate"
+  DEFAULT_PROVIDER: "openai",
+  
+  // Azure Translator settings
+  AZURE_TRANSLATOR_REGION: "",  // Required for regional (non-global) resources
+  AZURE_TRANSLATOR_ENDPOINT: "https://api.cognitive.microsofttranslator.com",
+  
+  // LibreTranslate settings (public instance or self-hosted server)
+  LIBRETRANSLATE_URL: "https://libretranslate.com",
+  
   // Translation settings
   TRANSLATION_SYSTEM_PROMPT: `You are a professional real-time translator. 
 Translate from {inputLang} to {outputLang} accurately, maintaining the meaning, tone, and nuance of the original text.
 Do not add any explanations, comments, or extra information.
 Respond only with the translation, nothing else. Keep emoji and punctuation as in the original.`,
   
+  // Conversation context: the last finalized utterances (with speakers and their
+  // translations) are sent along so pronouns, gender and terms stay consistent
+  TRANSLATION_CONTEXT_UTTERANCES: 3,    // 0 disables context
+  TRANSLATION_CONTEXT_MAX_CHARS: 2000,  // Older utterances are dropped beyond this
+  TRANSLATION_CONTEXT_PROMPT: `Earlier in this conversation (for context only, do not translate it again):
+{context}
+Use it to resolve pronouns, grammatical gender, referents and terminology.
+Translate only the new text in the user message.`,
+  
+  // Glossary terms found in the text are added to the system prompt with this text
+  TRANSLATION_GLOSSARY_PROMPT: `Always translate these terms exactly as listed (term → translation):
+{terms}`,
+  
+  // Meeting summary (OpenAI-compatible providers only): the transcript is sent in
+  // chunks of at most SUMMARY_CHUNK_MAX_CHARS, the partial summaries are then merged
+  SUMMARY_PROMPT: `You summarize meeting transcripts. Each line is "[time] Speaker: text".
+Write the summary in {outputLang}. Respond only with a JSON object with these fields:
+"keyPoints": the main points discussed,
+"decisions": the decisions that were made,
+"actionItems": tasks as objects with "task" and "owner" (the speaker who took the task or was asked to do it, "" if unclear),
+"openQuestions": questions that were left unanswered.
+Every list item is a short sentence. Use an empty array when there is nothing to list.`,
+  SUMMARY_MERGE_PROMPT: `You combine the partial summaries of consecutive parts of one meeting, given as JSON objects.
+Write the combined summary in {outputLang}. Merge duplicates and drop open questions that were answered later.
+Respond only with one JSON object with the same fields: "keyPoints", "decisions",
+"actionItems" (objects with "task" and "owner") and "openQuestions".`,
+  SUMMARY_CHUNK_MAX_CHARS: 12000,
+  
+  // Protected entities: spans matching these rules (name -> regular expression)
+  // and the do-not-translate words are replaced with placeholders before the
+  // text is sent to the provider, and restored in the translation
+  MASK_PROTECTED_ENTITIES: true,
+  MASK_SPEAKER_NAMES: true,     // Also protect the names of the meeting participants
+  MASK_RULES: {
+    url: "(?:https?:\\/\\/|www\\.)[^\\s<>\"]*[^\\s<>\".,;:!?)]",
+    email: "[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+",
+    ticket: "\\b[A-Z][A-Z0-9]+-\\d+\\b",
+    code: "`[^`]+`|\\b\\w+(?:\\.\\w+)*\\(\\)|\\b[a-z]+[A-Z][A-Za-z0-9]*\\b|\\b[A-Za-z]+_\\w+\\b"
+  },
+  DO_NOT_TRANSLATE: "",         // One word or phrase per line
+  
   // Debug settings
   MAX_DEBUG_LOGS: 100,
   
   // Request settings
-  MAX_RETRIES: 0,               // No retries for failed requests
-  RETRY_DELAY: 0,               // No delay between retries
+  MAX_RETRIES: 2,               // Retries for timeouts, network errors and 408/429/5xx responses
+  RETRY_DELAY: 500,             // Base delay for exponential backoff between retries (ms)
+  RETRY_MAX_DELAY: 8000,        // Upper bound for the backoff delay (Retry-After can exceed it)
+  MAX_CONCURRENT_REQUESTS: 2,   // Provider requests running at the same time
   
   // Performance and stability
   MAX_STORED_UTTERANCES: 10,     // Limit for utterances per speaker
@@ -38,12 +95,43 @@ Respond only with the translation, nothing else. Keep emoji and punctuation as i
   API_RATE_LIMIT: 500,          // Base rate limit for API requests (ms)
   API_TIMEOUT: 8000,            // Timeout for API requests (ms)
   API_CHECK_TIMEOUT: 5000,       // Timeout for API connection check (ms)
+  SUMMARY_TIMEOUT: 60000,        // Timeout for a meeting summary request (ms)
+  
+  // Streaming settings (OpenAI-compatible providers only)
+  STREAM_TRANSLATIONS: true,     // Show translations token by token as they arrive
+  API_STREAM_IDLE_TIMEOUT: 8000, // Abort a stream if no data arrives for this long (ms)
+  
+  // Persistent translation cache (IndexedDB in the background worker)
+  TRANSLATION_CACHE_ENABLED: true,
+  TRANSLATION_CACHE_TTL: 30 * 24 * 60 * 60 * 1000, // Entries expire after 30 days (ms)
+  TRANSLATION_CACHE_MAX_BYTES: 5 * 1024 * 1024,     // Size budget before LRU eviction
+  
+  // Meeting history: every session with all its utterances (IndexedDB in the background worker)
+  SESSION_HISTORY_ENABLED: true,
   
   // Max length of speech segments to preserve (to avoid memory issues)
   MAX_SPEECH_SEGMENT_LENGTH: 3000, // Increased from default to preserve longer texts
   
+  // Incremental translation: completed sentences are translated once and frozen,
+  // only the unfinished tail of a growing caption is re-sent to the provider
+  INCREMENTAL_TRANSLATION: false,
+  INCREMENTAL_MIN_FREEZE_LENGTH: 40, // Wait for at least this many chars of completed sentences before freezing them
+  LANGUAGE_DETECTION_MIN_LENGTH: 15, // With "Auto Detect", guess the language once a caption has this many chars
+  SKIP_SAME_LANGUAGE: true, // Show captions already in the target language as they are instead of translating them
+  LANGUAGE_PAIR: "", // Two languages, e.g. "ru,en": translate each caption from its detected language into the other one
+  PAIR_DISPLAY_LANGUAGE: "", // In pair mode, show everything in this language of the pair ("" = each caption in the other language)
+  
   // This delay controls how long we wait before refreshing the popup
   POPUP_REFRESH_INTERVAL: 500, // ms
+  BILINGUAL_DISPLAY_MODE: "translation", // "translation" only, original and translation "stacked", or "side-by-side"
+  
+  // Where translations are shown: "popup" window, always-on-top Picture-in-Picture
+  // window ("pip", falls back to the popup), "overlay" on top of the Teams page or
+  // only in the Chrome "side-panel" (which shows them in every mode once opened)
+  DISPLAY_MODE: "popup",
+  OVERLAY_FONT_SIZE: 20, // px
+  OVERLAY_BACKGROUND_OPACITY: 60, // Percent
+  OVERLAY_LINE_COUNT: 3, // Latest utterances shown in the overlay
 };
 
 export default Config;
\ No newline at end of file
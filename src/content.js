@@ -1,23 +1,37 @@
 // Main content script
 import Config from './config.js';
-import { debugLog, clearDebugLogs } from './utils.js';
+import { debugLog, clearDebugLogs, getMeetingName } from './utils.js';
+import { initSettings, onSettingsChanged } from './settings.js';
+import { loadGlossary } from './glossary.js';
+import { loadSpeakerPreferences } from './speaker-preferences.js';
 import { 
   clearTranslationTimers,
-  checkApiConnection
+  checkApiConnection,
+  setTranslationProvider,
+  listProviderModels,
+  summarizeText
 } from './translation-service.js';
+import { summarizeMeeting } from './meeting-summary.js';
 import { 
   openTranslationsWindow,
   updateTranslationsDisplay,
   setTranslationStatus,
   stopPopupCheck,
-  closePopupWindow
+  closePopupWindow,
+  clearAccumulatedTranslations,
+  setDisplayLanguages,
+  setSessionInfo,
+  updateLanguagePairControl,
+  updateBilingualMode
 } from './popup-manager.js';
+import { openOverlay, closeOverlay } from './overlay-manager.js';
+import { listenForSidePanels, setSidePanelState, notifySidePanelSessionStart } from './side-panel-port.js';
+import { startSessionRecording, stopSessionRecording } from './session-recorder.js';
 import {
   debounceProcessSubtitles,
   clearSubtitleData,
-  getActiveSpeakers,
-  getTranslatedUtterances,
-  resetKnownSubtitles
+  resetKnownSubtitles,
+  forceDisplayUpdate
 } from './subtitle-processor.js';
 
 
@@ -29,12 +43,26 @@ const UPDATE_PERIOD = 250;
   // Check if the script has already run
   if (window.hasTranslationScriptRun) return;
   window.hasTranslationScriptRun = true; // Mark the script as run
+  
+  // Apply the options page overrides to Config (and follow later changes)
+  const settingsReady = initSettings();
+  const glossaryReady = loadGlossary().catch(error => {
+    debugLog(`Failed to load glossary: ${error.message}`);
+  });
+  const speakerPreferencesReady = loadSpeakerPreferences().catch(error => {
+    debugLog(`Failed to load speaker preferences: ${error.message}`);
+  });
+  
+  // The side panel can be opened at any time, with or without a session
+  listenForSidePanels();
 
   // Variables to store user preferences
   let inputLang = Config.DEFAULT_INPUT_LANG;
-  let outputLang = Config.DEFAULT_OUTPUT_LANG;
+  let outputLangs = [Config.DEFAULT_OUTPUT_LANG]; // The first one is the main translation
+  let providerId = Config.DEFAULT_PROVIDER;
+  let providerModel = ''; // Model for the provider, empty for its default
   let isTranslationActive = false;
-  let displayMode = 'popup'; // Only 'popup' mode is now supported
+  let displayMode = 'popup'; // 'popup' window, 'pip' window, in-page 'overlay' or 'side-panel' only (Config.DISPLAY_MODE)
   
   // Reference to the MutationObserver
   let observer = null;
@@ -45,11 +73,60 @@ const UPDATE_PERIOD = 250;
   const MAX_CONNECTION_RETRIES = 3;
   let connectionCheckTimer = null;
   
+  /**
+   * Normalize the requested target languages
+   * @param {string[]|string} value - List of languages, or a comma-separated string
+   * @returns {string[]} - Distinct languages, the default output language if none
+   */
+  function parseOutputLangs(value) {
+    const languages = (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(language => String(language).trim())
+      .filter(Boolean);
+    
+    return languages.length > 0 ? Array.from(new Set(languages)) : [Config.DEFAULT_OUTPUT_LANG];
+  }
+  
+  /**
+   * Normalize a display mode
+   * @param {string} mode - Requested mode
+   * @returns {string} - 'overlay', 'pip', 'side-panel' or 'popup'
+   */
+  function normalizeDisplayMode(mode) {
+    return ['overlay', 'pip', 'side-panel'].includes(mode) ? mode : 'popup';
+  }
+  
+  /**
+   * Show translations in the current display mode, closing the other display
+   * (the side panel shows them in every mode, if it is open)
+   */
+  function openDisplay() {
+    if (displayMode === 'side-panel') {
+      stopPopupCheck();
+      closePopupWindow();
+      closeOverlay();
+    } else if (displayMode === 'overlay') {
+      stopPopupCheck();
+      closePopupWindow();
+      openOverlay().then(() => forceDisplayUpdate()).catch(error => {
+        console.error("Error opening overlay:", error);
+      });
+    } else {
+      closeOverlay();
+      openTranslationsWindow(updateTranslationsDisplay, { pictureInPicture: displayMode === 'pip' });
+      setTranslationStatus(true);
+    }
+  }
+  
   // Expose the clearAllTranslations function to the window for use by the popup
   window.clearAllTranslations = function() {
     clearAllTranslations();
   };
   
+  // Expose the meeting summary for the popup and the side panel, in the main output language
+  window.summarizeTranscript = function(transcript) {
+    return summarizeMeeting(transcript, (key, text, options) => summarizeText(key, text, outputLangs[0], options));
+  };
+  
   // Expose isTranslationActive for popup checks
   Object.defineProperty(window, 'isTranslationActive', {
     get: function() {
@@ -60,6 +137,7 @@ const UPDATE_PERIOD = 250;
   // Function to clear all translations and associated data
   function clearAllTranslations() {
     clearSubtitleData();
+    clearAccumulatedTranslations();
     clearDebugLogs();
     clearTranslationTimers();
     resetKnownSubtitles();
@@ -137,6 +215,9 @@ const UPDATE_PERIOD = 250;
       return { status: "success" };
     }
     
+    // Make sure the stored settings, glossary and speaker preferences are applied before the first request
+    await Promise.all([settingsReady, glossaryReady, speakerPreferencesReady]);
+    
     // Reset known subtitles when starting to avoid translating old ones
     resetKnownSubtitles();
     
@@ -144,6 +225,9 @@ const UPDATE_PERIOD = 250;
     connectionFailed = false;
     connectionRetryCount = 0;
     
+    // Use the provider selected for this session
+    setTranslationProvider(providerId, { model: providerModel });
+    
     // Verify API connection first
     const connectionValid = await verifyConnection();
     if (!connectionValid) {
@@ -155,11 +239,17 @@ const UPDATE_PERIOD = 250;
     
     isTranslationActive = true;
     
-    debugLog(`Starting translation with input: ${inputLang}, output: ${outputLang}, display: ${displayMode}`);
+    displayMode = normalizeDisplayMode(Config.DISPLAY_MODE);
+    debugLog(`Starting translation with input: ${inputLang}, output: ${outputLangs.join(', ')}, provider: ${providerId}, display: ${displayMode}`);
     
-    // Initialize popup display - ВАЖНО: открывает перемещаемое окно перевода
-    openTranslationsWindow(updateTranslationsDisplay);
-    setTranslationStatus(true);
+    // Open the translation window or the in-page overlay
+    const session = { startedAt: Date.now(), meetingName: getMeetingName() };
+    setDisplayLanguages(outputLangs);
+    setSessionInfo(session);
+    notifySidePanelSessionStart();
+    setSidePanelState({ displayLanguages: outputLangs, session, isActive: true });
+    startSessionRecording({ ...session, url: location.href, inputLang, outputLangs });
+    openDisplay();
     
     // Only observe the caption container instead of the entire body
     const findCaptionContainer = () => {
@@ -180,7 +270,7 @@ const UPDATE_PERIOD = 250;
     // Create a new observer if it doesn't exist
     if (!observer) {
       observer = new MutationObserver(() => {
-        debounceProcessSubtitles(isTranslationActive, inputLang, outputLang);
+        debounceProcessSubtitles(isTranslationActive, inputLang, outputLangs);
       });
       
       // Set observation options - only monitor what we need
@@ -207,7 +297,7 @@ const UPDATE_PERIOD = 250;
     
     // Force an immediate update
     setTimeout(() => {
-      updateTranslationsDisplay(getTranslatedUtterances(), getActiveSpeakers());
+      forceDisplayUpdate();
     }, update_time);
     
     return { status: "success" };
@@ -231,7 +321,7 @@ const UPDATE_PERIOD = 250;
           // Recreate the observer
           observer.disconnect();
           observer = new MutationObserver(() => {
-            debounceProcessSubtitles(isTranslationActive, inputLang, outputLang);
+            debounceProcessSubtitles(isTranslationActive, inputLang, outputLangs);
           });
           
           // Find caption container again using the improved selector list
@@ -262,14 +352,28 @@ const UPDATE_PERIOD = 250;
         }
         
         // Update the translations display to make sure it's in sync
-        updateTranslationsDisplay(
-          getTranslatedUtterances(),
-          getActiveSpeakers()
-        );
+        forceDisplayUpdate();
       }
     }, Config.OBSERVER_UPDATE_INTERVAL); // Check every 30 seconds
   }
   
+  // Restart timers whose interval comes from a setting that just changed
+  onSettingsChanged(changedKeys => {
+    if (isTranslationActive && changedKeys.includes('OBSERVER_UPDATE_INTERVAL')) {
+      startSafetyChecks();
+    }
+    if (changedKeys.includes('LANGUAGE_PAIR') || changedKeys.includes('PAIR_DISPLAY_LANGUAGE')) {
+      updateLanguagePairControl();
+    }
+    if (changedKeys.includes('BILINGUAL_DISPLAY_MODE')) {
+      updateBilingualMode();
+    }
+    if (isTranslationActive && changedKeys.includes('DISPLAY_MODE')) {
+      displayMode = normalizeDisplayMode(Config.DISPLAY_MODE);
+      openDisplay();
+    }
+  });
+  
   // Function to stop translation
   function stopTranslation() {
     if (isTranslationActive) {
@@ -288,7 +392,11 @@ const UPDATE_PERIOD = 250;
       // Stop popup check and cleanup
       stopPopupCheck();
       setTranslationStatus(false);
+      setSidePanelState({ isActive: false });
+      stopSessionRecording();
       closePopupWindow();
+      clearAccumulatedTranslations();
+      closeOverlay();
       
       // Stop safety checks
       if (safetyCheckTimer) {
@@ -330,10 +438,9 @@ const UPDATE_PERIOD = 250;
     if (message.action === "startTranslation") {
       // Update language settings
       inputLang = message.inputLang || Config.DEFAULT_INPUT_LANG;
-      outputLang = message.outputLang || Config.DEFAULT_OUTPUT_LANG;
-      
-      // We only support popup mode now
-      displayMode = 'popup';
+      outputLangs = parseOutputLangs(message.outputLangs || message.outputLang);
+      providerId = message.provider || Config.DEFAULT_PROVIDER;
+      providerModel = message.model || '';
       
       // Start translation
       startTranslation().then(result => {
@@ -354,17 +461,33 @@ const UPDATE_PERIOD = 250;
       sendResponse({
         isActive: isTranslationActive,
         inputLang: inputLang,
-        outputLang: outputLang,
+        outputLang: outputLangs[0],
+        outputLangs: outputLangs,
+        provider: providerId,
+        model: providerModel,
         displayMode: displayMode
       });
+      return true;
+    } else if (message.action === "listModels") {
+      // Don't reconfigure the provider of a running session
+      if (!isTranslationActive) {
+        setTranslationProvider(message.provider || providerId);
+      }
+      
+      listProviderModels().then(models => {
+        sendResponse({ status: "success", models: models });
+      }).catch(error => {
+        debugLog(`Failed to list models: ${error.message}`);
+        sendResponse({ status: "error", message: error.message });
+      });
+      
       return true;
     } else if (message.action === "setDisplayMode") {
-      // We only support popup mode now
-      displayMode = 'popup';
+      // Switch between the popup window and the overlay for this session
+      displayMode = normalizeDisplayMode(message.displayMode);
       
-      // Update popup if translation is active
       if (isTranslationActive) {
-        updateTranslationsDisplay(getTranslatedUtterances(), getActiveSpeakers());
+        openDisplay();
       }
       
       sendResponse({ status: "success", displayMode: displayMode });
@@ -379,6 +502,8 @@ const UPDATE_PERIOD = 250;
       observer = null;
     }
     closePopupWindow();
+    closeOverlay();
+    stopSessionRecording();
     clearTranslationTimers();
     
     if (safetyCheckTimer) {
@@ -399,11 +524,7 @@ const UPDATE_PERIOD = 250;
     // Set new interval
     updateDisplayInterval = setInterval(() => {
       if (isTranslationActive) {
-        // Only update popup display
-        updateTranslationsDisplay(
-          getTranslatedUtterances(),
-          getActiveSpeakers()
-        );
+        forceDisplayUpdate();
       }
     }, UPDATE_PERIOD); // Update 4 times per second
   }
@@ -0,0 +1,206 @@
+// API credentials
+// Keys and custom auth headers live in the IndexedDB of the background service worker.
+// Unlike chrome.storage.local (which also holds the glossary and other settings content
+// scripts read), the extension's IndexedDB can't be read from the Teams page.
+import { debugLog } from './utils.js';
+
+const DB_NAME = 'credentials';
+const DB_VERSION = 1;
+const CREDENTIALS_STORE = 'credentials';
+const STORAGE_KEY = 'credentials';
+
+// Custom headers were a synced setting in earlier versions (see settings.js)
+const HEADERS_SETTING_KEY = 'setting:OPENAI_CUSTOM_HEADERS';
+const LEGACY_SETTINGS_KEY = 'configOverrides';
+
+// Names of the credentials the providers use
+const CREDENTIAL_NAMES = [
+  'OPENAI_API_KEY',
+  'OPENAI_CUSTOM_HEADERS', // "Name: value" lines sent to the OpenAI-compatible endpoint
+  'DEEPL_API_KEY',
+  'AZURE_TRANSLATOR_KEY',
+  'LIBRETRANSLATE_API_KEY'
+];
+
+// In-memory copy of the stored credentials
+let credentials = {};
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} - Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create if needed) the credentials database
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(CREDENTIALS_STORE);
+    };
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  
+  return dbPromise;
+}
+
+/**
+ * Write the credentials to the database
+ * @param {Object} values - Map of credential names to values
+ * @returns {Promise<void>}
+ */
+async function writeCredentials(values) {
+  const db = await openDatabase();
+  const transaction = db.transaction(CREDENTIALS_STORE, 'readwrite');
+  await promisifyRequest(transaction.objectStore(CREDENTIALS_STORE).put(values, STORAGE_KEY));
+}
+
+/**
+ * Move credentials saved by earlier versions out of chrome.storage.local
+ * @returns {Promise<Object|null>} - Migrated credentials, null if there were none
+ */
+async function migrateStoredCredentials() {
+  const data = await chrome.storage.local.get(STORAGE_KEY);
+  if (!data[STORAGE_KEY]) return null;
+  
+  await writeCredentials(data[STORAGE_KEY]);
+  await chrome.storage.local.remove(STORAGE_KEY);
+  debugLog("Moved credentials out of chrome.storage.local");
+  return data[STORAGE_KEY];
+}
+
+/**
+ * Format custom headers stored as a JSON setting as "Name: value" lines
+ * @param {Object|string} headers - Header map or lines
+ * @returns {string} - Header lines, empty if there are none
+ */
+function formatHeaderLines(headers) {
+  if (!headers) return "";
+  if (typeof headers === 'string') return headers.trim();
+  
+  return Object.entries(headers)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+}
+
+/**
+ * Move custom headers saved as a setting by earlier versions into the credentials
+ * @param {Object} stored - Stored credentials
+ * @returns {Promise<Object>} - Credentials, with the migrated headers if there were any
+ */
+async function migrateCustomHeaders(stored) {
+  const [syncData, localData] = await Promise.all([
+    chrome.storage.sync.get([HEADERS_SETTING_KEY, LEGACY_SETTINGS_KEY]),
+    chrome.storage.local.get(HEADERS_SETTING_KEY)
+  ]);
+  const legacy = syncData[LEGACY_SETTINGS_KEY] || {};
+  const hasLegacyHeaders = Object.prototype.hasOwnProperty.call(legacy, 'OPENAI_CUSTOM_HEADERS');
+  if (!(HEADERS_SETTING_KEY in syncData) && !(HEADERS_SETTING_KEY in localData) && !hasLegacyHeaders) {
+    return stored;
+  }
+  
+  let next = stored;
+  const lines = formatHeaderLines(
+    localData[HEADERS_SETTING_KEY] || syncData[HEADERS_SETTING_KEY] || legacy.OPENAI_CUSTOM_HEADERS
+  );
+  if (lines && !stored.OPENAI_CUSTOM_HEADERS) {
+    next = { ...stored, OPENAI_CUSTOM_HEADERS: lines };
+    await writeCredentials(next);
+  }
+  
+  await chrome.storage.sync.remove(HEADERS_SETTING_KEY);
+  await chrome.storage.local.remove(HEADERS_SETTING_KEY);
+  if (hasLegacyHeaders) {
+    const { OPENAI_CUSTOM_HEADERS, ...rest } = legacy;
+    await chrome.storage.sync.set({ [LEGACY_SETTINGS_KEY]: rest });
+  }
+  debugLog("Moved the custom headers out of the settings");
+  return next;
+}
+
+/**
+ * Load credentials from storage
+ * @returns {Promise<Object>} - Stored credentials
+ */
+async function loadCredentials() {
+  const db = await openDatabase();
+  const transaction = db.transaction(CREDENTIALS_STORE, 'readonly');
+  const stored = await promisifyRequest(transaction.objectStore(CREDENTIALS_STORE).get(STORAGE_KEY));
+  
+  credentials = await migrateCustomHeaders(stored || await migrateStoredCredentials() || {});
+  return credentials;
+}
+
+/**
+ * Get a credential value
+ * @param {string} name - Credential name (e.g. "OPENAI_API_KEY")
+ * @returns {string} - The credential, or an empty string if not set
+ */
+function getCredential(name) {
+  return credentials[name] || "";
+}
+
+/**
+ * Save credentials, keeping the ones that aren't part of the update
+ * Empty values remove the stored credential.
+ * @param {Object} updates - Map of credential names to values
+ * @returns {Promise<void>}
+ */
+async function saveCredentials(updates) {
+  const stored = await loadCredentials();
+  const next = { ...stored };
+  
+  for (const name of CREDENTIAL_NAMES) {
+    if (!Object.prototype.hasOwnProperty.call(updates, name)) continue;
+    
+    const value = (updates[name] || "").trim();
+    if (value) {
+      next[name] = value;
+    } else {
+      delete next[name];
+    }
+  }
+  
+  await writeCredentials(next);
+  credentials = next;
+  debugLog("Credentials updated");
+}
+
+/**
+ * Report which credentials are set without exposing their values
+ * @returns {Object} - Map of credential names to booleans
+ */
+function getCredentialStatus() {
+  const status = {};
+  for (const name of CREDENTIAL_NAMES) {
+    status[name] = Boolean(credentials[name]);
+  }
+  return status;
+}
+
+export {
+  CREDENTIAL_NAMES,
+  loadCredentials,
+  getCredential,
+  saveCredentials,
+  getCredentialStatus
+};
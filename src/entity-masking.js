@@ -0,0 +1,236 @@
+// Protected-entity masking
+// Replaces spans that must not be translated (URLs, emails, ticket IDs, code
+// identifiers, names, do-not-translate words) with numbered placeholders before
+// the text goes to the provider, and puts them back into the translation.
+import Config from './config.js';
+import { debugLog } from './utils.js';
+
+// Placeholders look like [[1]]; providers and models leave them alone reliably
+const PLACEHOLDER_PATTERN = /\[\[(\d+)\]\]/;
+
+// Compiled MASK_RULES, rebuilt when the setting changes
+let compiledRules = [];
+let compiledRulesSource = null;
+
+/**
+ * Create a placeholder
+ * @param {number} index - Placeholder number (1-based)
+ * @returns {string} - Placeholder text
+ */
+function createPlaceholder(index) {
+  return `[[${index}]]`;
+}
+
+/**
+ * Compile the configured masking rules
+ * Invalid patterns are skipped (and logged) so one bad rule doesn't disable masking.
+ * @returns {Object[]} - { name, regex } for every valid rule
+ */
+function getMaskRules() {
+  const source = JSON.stringify(Config.MASK_RULES || {});
+  if (source === compiledRulesSource) {
+    return compiledRules;
+  }
+
+  compiledRules = [];
+  for (const [name, pattern] of Object.entries(Config.MASK_RULES || {})) {
+    try {
+      compiledRules.push({ name, regex: new RegExp(pattern, 'gu') });
+    } catch (error) {
+      debugLog(`Invalid masking rule "${name}": ${error.message}`);
+    }
+  }
+  compiledRulesSource = source;
+
+  return compiledRules;
+}
+
+/**
+ * Get the words that must never be translated
+ * Listed terms match in any case; names only as written, so a name like "Will"
+ * or "Mark" doesn't swallow the common word.
+ * @param {string[]} [extraTerms] - Terms added for this request (e.g. speaker names)
+ * @returns {Object[]} - { term, caseSensitive }, longest first so "Foo Bar" wins over "Foo"
+ */
+function getProtectedTerms(extraTerms = []) {
+  const listed = (Config.DO_NOT_TRANSLATE || '')
+    .split('\n')
+    .map(term => term.trim())
+    .filter(Boolean);
+  const listedKeys = new Set(listed.map(term => term.toLowerCase()));
+
+  const terms = [
+    ...Array.from(new Set(listed)).map(term => ({ term, caseSensitive: false })),
+    ...Array.from(new Set(extraTerms.filter(Boolean)))
+      .filter(term => !listedKeys.has(term.toLowerCase()))
+      .map(term => ({ term, caseSensitive: true }))
+  ];
+
+  return terms.sort((a, b) => b.term.length - a.term.length);
+}
+
+/**
+ * Find the spans to protect in a text
+ * @param {string} text - Source text
+ * @param {Object[]} terms - Do-not-translate terms, see getProtectedTerms
+ * @returns {Object[]} - Non-overlapping { start, end } spans in text order
+ */
+function findProtectedSpans(text, terms) {
+  const spans = [];
+
+  for (const { term, caseSensitive } of terms) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, caseSensitive ? 'gu' : 'giu');
+    for (const match of text.matchAll(regex)) {
+      spans.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  for (const rule of getMaskRules()) {
+    for (const match of text.matchAll(rule.regex)) {
+      if (match[0]) {
+        spans.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+  }
+
+  // Earlier spans first, longer first at the same position; drop overlaps
+  spans.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const result = [];
+  for (const span of spans) {
+    const previous = result[result.length - 1];
+    if (!previous || span.start >= previous.end) {
+      result.push(span);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Replace the protected spans of a text with placeholders
+ * A span already in the entity list gets its existing placeholder.
+ * @param {string} text - Source text
+ * @param {Object[]} terms - Do-not-translate terms, see getProtectedTerms
+ * @param {string[]} entities - Original spans by placeholder number, extended in place
+ * @returns {string} - Masked text
+ */
+function maskSpans(text, terms, entities) {
+  if (!text) return text;
+
+  let masked = '';
+  let position = 0;
+
+  for (const span of findProtectedSpans(text, terms)) {
+    const entity = text.substring(span.start, span.end);
+    let index = entities.indexOf(entity);
+    if (index < 0) {
+      entities.push(entity);
+      index = entities.length - 1;
+    }
+
+    masked += text.substring(position, span.start) + createPlaceholder(index + 1);
+    position = span.end;
+  }
+  masked += text.substring(position);
+
+  return masked;
+}
+
+/**
+ * Replace protected spans with placeholders
+ * The conversation context is masked with the same placeholders, so an entity
+ * reads the same in the context and in the text.
+ * @param {string} text - Source text
+ * @param {string[]} [extraTerms] - Additional do-not-translate terms for this request, matched as written
+ * @param {Object[]} [context] - Previous utterances ({ speaker, original, translated }) sent along
+ * @returns {Object} - { text, context, entities, textEntityCount }: masked text and context,
+ *   the original span for each placeholder (those of the text first) and how many are in the text
+ */
+function maskEntities(text, extraTerms, context) {
+  if (!Config.MASK_PROTECTED_ENTITIES || !text) {
+    return { text, context, entities: [], textEntityCount: 0 };
+  }
+
+  const terms = getProtectedTerms(extraTerms);
+  const entities = [];
+  const maskedText = maskSpans(text, terms, entities);
+  const textEntityCount = entities.length;
+
+  const maskedContext = Array.isArray(context)
+    ? context.map(utterance => ({
+      ...utterance,
+      original: maskSpans(utterance.original, terms, entities),
+      translated: maskSpans(utterance.translated, terms, entities)
+    }))
+    : context;
+
+  return { text: maskedText, context: maskedContext, entities, textEntityCount };
+}
+
+/**
+ * Put the original spans back into a translation
+ * Placeholders the model garbled (e.g. "[ [1] ]" or "[1]") are still restored;
+ * dropped placeholders are logged. Partial (streamed) text is restored quietly.
+ * @param {string} translation - Translation of the masked text
+ * @param {string[]} entities - Original spans by placeholder number
+ * @param {Object} [options] - Restore options
+ * @param {boolean} [options.partial] - True for streamed text that may still be incomplete
+ * @param {number} [options.expected] - Placeholders the translation must contain (the first
+ *   ones, default all); the others only occurred in the context
+ * @returns {string} - Translation with the original spans
+ */
+function unmaskEntities(translation, entities, options = {}) {
+  if (!translation || !entities || entities.length === 0) {
+    return translation;
+  }
+
+  let restored = translation;
+  const expected = typeof options.expected === 'number' ? options.expected : entities.length;
+
+  entities.forEach((entity, i) => {
+    const placeholder = createPlaceholder(i + 1);
+
+    if (restored.includes(placeholder)) {
+      restored = restored.split(placeholder).join(entity);
+      return;
+    }
+
+    // Tolerate extra spaces or a missing bracket around the number
+    const garbled = new RegExp(`\\[\\s*\\[?\\s*${i + 1}\\s*\\]?\\s*\\]`);
+    if (garbled.test(restored)) {
+      restored = restored.replace(garbled, entity);
+      if (!options.partial) {
+        debugLog(`Restored garbled placeholder ${placeholder} for "${entity}"`);
+      }
+      return;
+    }
+
+    if (!options.partial && i < expected) {
+      debugLog(`Translation dropped placeholder ${placeholder} for "${entity}"`);
+    }
+  });
+
+  // Anything left that still looks like a placeholder can't be mapped back
+  if (!options.partial && PLACEHOLDER_PATTERN.test(restored)) {
+    debugLog(`Translation contains unknown placeholders: ${restored}`);
+  }
+
+  return restored;
+}
+
+/**
+ * Check whether a text contains placeholders
+ * @param {string} text - Text sent to the provider
+ * @returns {boolean} - True if the text was masked
+ */
+function hasPlaceholders(text) {
+  return PLACEHOLDER_PATTERN.test(text || '');
+}
+
+export {
+  maskEntities,
+  unmaskEntities,
+  hasPlaceholders
+};
@@ -0,0 +1,294 @@
+// Glossary
+// Term pairs per language pair, scoped to all meetings or to a single meeting.
+// Matching terms are sent to the provider with each request, and translations
+// are checked afterwards for required terms that were not respected.
+import { debugLog } from './utils.js';
+import { getLanguageCode } from './languages.js';
+
+const STORAGE_KEY = 'glossary';
+
+// Scope of entries that apply to every meeting
+const GLOBAL_SCOPE = '';
+
+// Delimiters a glossary file may use, preferred in this order on a tie
+const CSV_DELIMITERS = ['\t', ';', ','];
+
+// source, target, input language, output language, meeting
+const MAX_CSV_COLUMNS = 5;
+
+// In-memory copy of the stored entries
+let entries = [];
+
+/**
+ * Normalize a meeting name so scopes match regardless of case and spacing
+ * @param {string} meeting - Meeting name
+ * @returns {string} - Meeting scope ('' for all meetings)
+ */
+function normalizeScope(meeting) {
+  return (meeting || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Load glossary entries from storage
+ * @returns {Promise<Object[]>} - Stored entries
+ */
+async function loadGlossary() {
+  const data = await chrome.storage.local.get(STORAGE_KEY);
+  entries = data[STORAGE_KEY] || [];
+  return entries;
+}
+
+/**
+ * Get every glossary entry
+ * @returns {Object[]} - Entries ({ id, source, target, inputLang, outputLang, meeting })
+ */
+function getGlossaryEntries() {
+  return entries;
+}
+
+/**
+ * Replace the stored glossary
+ * @param {Object[]} nextEntries - Entries to store
+ * @returns {Promise<void>}
+ */
+async function saveGlossary(nextEntries) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: nextEntries });
+  entries = nextEntries;
+  debugLog(`Glossary saved (${nextEntries.length} terms)`);
+}
+
+/**
+ * Add entries, replacing existing ones for the same term, language pair and meeting
+ * @param {Object[]} newEntries - Entries ({ source, target, inputLang, outputLang, meeting })
+ * @returns {Promise<number>} - Number of entries added or updated
+ */
+async function addGlossaryEntries(newEntries) {
+  const stored = await loadGlossary();
+  const entryKey = entry => [
+    entry.source.toLowerCase(),
+    getLanguageCode(entry.inputLang),
+    getLanguageCode(entry.outputLang),
+    normalizeScope(entry.meeting)
+  ].join('|');
+  
+  const byKey = new Map(stored.map(entry => [entryKey(entry), entry]));
+  for (const entry of newEntries) {
+    const normalized = {
+      id: `${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      source: entry.source.trim(),
+      target: entry.target.trim(),
+      inputLang: entry.inputLang,
+      outputLang: entry.outputLang,
+      meeting: (entry.meeting || GLOBAL_SCOPE).trim()
+    };
+    
+    const existing = byKey.get(entryKey(normalized));
+    byKey.set(entryKey(normalized), existing ? { ...normalized, id: existing.id } : normalized);
+  }
+  
+  await saveGlossary(Array.from(byKey.values()));
+  return newEntries.length;
+}
+
+/**
+ * Remove an entry
+ * @param {string} id - Entry ID
+ * @returns {Promise<void>}
+ */
+async function removeGlossaryEntry(id) {
+  const stored = await loadGlossary();
+  await saveGlossary(stored.filter(entry => entry.id !== id));
+}
+
+/**
+ * Split one CSV line into fields (supports quoted fields with "" escapes)
+ * @param {string} line - CSV line
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[]} - Fields
+ */
+function parseCsvLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Detect the delimiter of a CSV file from its first line
+ * Only one delimiter is used per file, so terms may contain the others.
+ * @param {string} line - First non-comment line
+ * @returns {string} - The delimiter splitting the line most often (comma if none does)
+ */
+function detectCsvDelimiter(line) {
+  let best = ',';
+  let bestCount = 0;
+  
+  for (const delimiter of CSV_DELIMITERS) {
+    const count = parseCsvLine(line, delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Parse glossary entries from CSV
+ * Columns: source, target[, input language, output language[, meeting]], separated
+ * by commas, semicolons or tabs (whichever the first line uses).
+ * Missing columns are taken from the defaults; a header row is skipped.
+ * @param {string} csvText - CSV content
+ * @param {Object} defaults - Default { inputLang, outputLang, meeting }
+ * @returns {Object} - { entries, errors } where errors lists skipped lines
+ */
+function parseGlossaryCsv(csvText, defaults) {
+  const parsed = [];
+  const errors = [];
+  let delimiter = null;
+  
+  csvText.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    
+    if (delimiter === null) {
+      delimiter = detectCsvDelimiter(line);
+    }
+    
+    const fields = parseCsvLine(line, delimiter);
+    const [source, target, inputLang, outputLang, meeting] = fields;
+    
+    // Skip a header row
+    if (index === 0 && ['source', 'term'].includes(source.toLowerCase()) &&
+        ['target', 'translation'].includes((target || '').toLowerCase())) return;
+    
+    if (!source || !target) {
+      errors.push(`Line ${index + 1}: expected at least "source,target"`);
+      return;
+    }
+    
+    if (fields.length > MAX_CSV_COLUMNS) {
+      errors.push(`Line ${index + 1}: expected at most ${MAX_CSV_COLUMNS} columns, quote terms that contain the delimiter`);
+      return;
+    }
+    
+    parsed.push({
+      source,
+      target,
+      inputLang: inputLang || defaults.inputLang,
+      outputLang: outputLang || defaults.outputLang,
+      meeting: meeting !== undefined && meeting !== '' ? meeting : defaults.meeting
+    });
+  });
+  
+  return { entries: parsed, errors };
+}
+
+/**
+ * Get the entries that apply to a language pair and meeting
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {string} meeting - Current meeting name
+ * @returns {Object[]} - Applicable entries (meeting entries override global ones)
+ */
+function getGlossaryTerms(inputLang, outputLang, meeting) {
+  const inputCode = getLanguageCode(inputLang);
+  const outputCode = getLanguageCode(outputLang);
+  const scope = normalizeScope(meeting);
+  
+  const terms = new Map();
+  for (const entry of entries) {
+    const entryInput = getLanguageCode(entry.inputLang);
+    if (entryInput !== 'auto' && inputCode !== 'auto' && entryInput !== inputCode) continue;
+    if (getLanguageCode(entry.outputLang) !== outputCode) continue;
+    
+    const entryScope = normalizeScope(entry.meeting);
+    if (entryScope !== GLOBAL_SCOPE && entryScope !== scope) continue;
+    
+    // A meeting-specific entry wins over a global one for the same term
+    const key = entry.source.toLowerCase();
+    if (!terms.has(key) || entryScope !== GLOBAL_SCOPE) {
+      terms.set(key, entry);
+    }
+  }
+  
+  return Array.from(terms.values());
+}
+
+/**
+ * Create a case-insensitive whole-word pattern for a term
+ * @param {string} term - Term
+ * @returns {RegExp} - Pattern (letters and digits around the term don't match)
+ */
+function createTermPattern(term) {
+  const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+/**
+ * Find the glossary terms used in a text
+ * @param {string} text - Source text
+ * @param {Object[]} terms - Applicable entries
+ * @returns {Object[]} - Entries whose source term occurs in the text
+ */
+function findGlossaryMatches(text, terms) {
+  if (!text || !terms || terms.length === 0) return [];
+  
+  return terms.filter(entry => createTermPattern(entry.source).test(text));
+}
+
+/**
+ * Find required terms that a translation doesn't use
+ * @param {string} translation - Translated text
+ * @param {Object[]} matches - Entries found in the source text
+ * @returns {Object[]} - { source, target } of the terms missing from the translation
+ */
+function findMissingTerms(translation, matches) {
+  if (!translation || !matches || matches.length === 0) return [];
+  
+  return matches
+    .filter(entry => !createTermPattern(entry.target).test(translation))
+    .map(entry => ({ source: entry.source, target: entry.target }));
+}
+
+// Keep the in-memory copy in sync with changes made on the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[STORAGE_KEY]) {
+    entries = changes[STORAGE_KEY].newValue || [];
+  }
+});
+
+export {
+  loadGlossary,
+  getGlossaryEntries,
+  addGlossaryEntries,
+  removeGlossaryEntry,
+  parseGlossaryCsv,
+  getGlossaryTerms,
+  findGlossaryMatches,
+  findMissingTerms
+};
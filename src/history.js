@@ -0,0 +1,342 @@
+// Meeting history page
+// Lists the sessions stored by the background worker. A session can be reopened
+// in the translation window layout (history.html?session=<id>), exported or deleted.
+import { initSettings } from './settings.js';
+import {
+  attachDisplaySurface,
+  updateTranslationsDisplay,
+  setTranslationStatus,
+  setDisplayLanguages,
+  setSessionInfo
+} from './popup-manager.js';
+import { EXPORT_FORMATS, exportTranscript, downloadExport } from './transcript-export.js';
+
+const pageContent = `
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      margin: 0;
+      background-color: #f9f9f9;
+      color: #333;
+    }
+    header {
+      background-color: #0078d4;
+      color: white;
+      padding: 12px 20px;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+    }
+    h1 {
+      margin: 0;
+      font-size: 20px;
+    }
+    main {
+      padding: 10px 20px;
+    }
+    .history-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+      background: white;
+    }
+    .history-table th,
+    .history-table td {
+      text-align: left;
+      padding: 6px 8px;
+      border-bottom: 1px solid #eee;
+      vertical-align: top;
+    }
+    .history-table a {
+      color: #0078d4;
+    }
+    .participants {
+      color: #666;
+      max-width: 280px;
+    }
+    .actions {
+      white-space: nowrap;
+    }
+    button {
+      padding: 4px 10px;
+      cursor: pointer;
+      background-color: #f0f0f0;
+      color: #333;
+      border: none;
+      border-radius: 3px;
+      margin-right: 4px;
+    }
+    button.danger {
+      color: #d13438;
+    }
+    #status {
+      font-size: 13px;
+      margin: 10px 0;
+    }
+  </style>
+  <header>
+    <h1>Meeting History</h1>
+    <label>
+      Export as
+      <select id="export-format-select"></select>
+    </label>
+  </header>
+  <main>
+    <div id="status">Loading...</div>
+    <table class="history-table">
+      <thead>
+        <tr><th>Started</th><th>Meeting</th><th>Duration</th><th>Participants</th><th>Utterances</th><th></th></tr>
+      </thead>
+      <tbody id="session-list"></tbody>
+    </table>
+  </main>
+`;
+
+/**
+ * Send a session history request to the background worker
+ * @param {Object} message - Message with the action
+ * @returns {Promise<Object>} - Successful response
+ */
+function sendHistoryMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (response && response.status === "success") {
+        resolve(response);
+      } else {
+        reject(new Error(response ? response.message : "No response from background worker"));
+      }
+    });
+  });
+}
+
+/**
+ * Show a status message above the list
+ * @param {string} message - Message
+ */
+function showStatus(message) {
+  document.getElementById('status').textContent = message;
+}
+
+/**
+ * Format the duration of a session
+ * @param {Object} session - Stored session
+ * @returns {string} - Duration in minutes
+ */
+function formatDuration(session) {
+  const minutes = Math.round((session.endedAt - session.startedAt) / 60000);
+  return minutes < 1 ? '< 1 min' : `${minutes} min`;
+}
+
+/**
+ * Convert a stored session to a transcript for exportTranscript
+ * @param {Object} session - Stored session with utterances
+ * @returns {Object} - Transcript
+ */
+function getSessionTranscript(session) {
+  const languages = session.outputLangs || [];
+  
+  return {
+    meetingName: session.meetingName,
+    startedAt: session.startedAt,
+    utterances: session.utterances.map(utterance => ({
+      ...utterance,
+      // Several target languages are exported side by side, like the window shows them
+      translations: languages.length > 1
+        ? languages
+          .map(lang => ({ lang, text: utterance.translations[lang] || '' }))
+          .filter(translation => translation.text)
+        : [{ lang: utterance.translatedLang || languages[0] || '', text: utterance.translation }],
+      translationsByLang: utterance.translations
+    }))
+  };
+}
+
+/**
+ * Convert the utterances of a stored session to the translation window format
+ * @param {Object} session - Stored session with utterances
+ * @returns {Object} - Map of speaker IDs to arrays of finalized utterances
+ */
+function getTranslatedUtterances(session) {
+  const translatedUtterances = {};
+  
+  for (const utterance of session.utterances) {
+    if (!translatedUtterances[utterance.speakerId]) {
+      translatedUtterances[utterance.speakerId] = [];
+    }
+    
+    translatedUtterances[utterance.speakerId].push({
+      utteranceId: utterance.id,
+      speaker: utterance.speaker,
+      fullText: utterance.original,
+      translatedText: utterance.translation,
+      translations: utterance.translations,
+      translatedLang: utterance.translatedLang,
+      detectedLang: utterance.detectedLang,
+      timestamp: new Date(utterance.start).toLocaleTimeString(),
+      lastUpdated: utterance.end,
+      active: false
+    });
+  }
+  
+  return translatedUtterances;
+}
+
+/**
+ * Download a session in the selected export format
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+async function handleExport(sessionId) {
+  const { session } = await sendHistoryMessage({ action: "getSession", sessionId });
+  if (!session) {
+    showStatus('This session no longer exists');
+    return;
+  }
+  
+  const format = document.getElementById('export-format-select').value;
+  downloadExport(document, exportTranscript(format, getSessionTranscript(session)));
+}
+
+/**
+ * Delete a session after confirmation
+ * @param {Object} session - Stored session
+ * @returns {Promise<void>}
+ */
+async function handleDelete(session) {
+  if (!confirm(`Delete the session "${session.meetingName || 'Untitled meeting'}"?`)) return;
+  
+  await sendHistoryMessage({ action: "deleteSession", sessionId: session.id });
+  await renderSessionList();
+}
+
+/**
+ * Create a button that reports failures in the status line
+ * @param {string} label - Button label
+ * @param {Function} onClick - Async click handler
+ * @returns {HTMLButtonElement} - Button
+ */
+function createActionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.addEventListener('click', () => {
+    onClick().catch(error => {
+      console.error(`Error in ${label}:`, error);
+      showStatus(`${label} failed: ${error.message}`);
+    });
+  });
+  return button;
+}
+
+/**
+ * Show the stored sessions
+ * @returns {Promise<void>}
+ */
+async function renderSessionList() {
+  const { sessions } = await sendHistoryMessage({ action: "listSessions" });
+  const tbody = document.getElementById('session-list');
+  tbody.innerHTML = '';
+  
+  showStatus(sessions.length === 0
+    ? 'No sessions yet. Sessions are saved while translation runs in a meeting.'
+    : `${sessions.length} session${sessions.length === 1 ? '' : 's'}`);
+  
+  for (const session of sessions) {
+    const row = document.createElement('tr');
+    
+    const startedCell = document.createElement('td');
+    startedCell.textContent = new Date(session.startedAt).toLocaleString();
+    
+    const meetingCell = document.createElement('td');
+    if (session.url) {
+      const link = document.createElement('a');
+      link.href = session.url;
+      link.target = '_blank';
+      link.textContent = session.meetingName || 'Untitled meeting';
+      meetingCell.appendChild(link);
+    } else {
+      meetingCell.textContent = session.meetingName || 'Untitled meeting';
+    }
+    
+    const durationCell = document.createElement('td');
+    durationCell.textContent = formatDuration(session);
+    
+    const participantsCell = document.createElement('td');
+    participantsCell.className = 'participants';
+    participantsCell.textContent = session.participants.join(', ');
+    
+    const countCell = document.createElement('td');
+    countCell.textContent = session.utteranceCount;
+    
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'actions';
+    actionsCell.appendChild(createActionButton('Open', async () => {
+      await chrome.tabs.create({ url: chrome.runtime.getURL(`history.html?session=${encodeURIComponent(session.id)}`) });
+    }));
+    actionsCell.appendChild(createActionButton('Export', () => handleExport(session.id)));
+    const deleteButton = createActionButton('Delete', () => handleDelete(session));
+    deleteButton.className = 'danger';
+    actionsCell.appendChild(deleteButton);
+    
+    row.append(startedCell, meetingCell, durationCell, participantsCell, countCell, actionsCell);
+    tbody.appendChild(row);
+  }
+}
+
+/**
+ * Show the session list
+ */
+function showSessionList() {
+  document.body.innerHTML = pageContent;
+  document.title = 'Meeting History';
+  
+  const formatSelect = document.getElementById('export-format-select');
+  EXPORT_FORMATS.forEach(format => {
+    const optionEl = document.createElement('option');
+    optionEl.value = format.value;
+    optionEl.textContent = format.label;
+    formatSelect.appendChild(optionEl);
+  });
+  
+  renderSessionList().catch(error => {
+    console.error("Error loading sessions:", error);
+    showStatus(`Failed to load sessions: ${error.message}`);
+  });
+}
+
+/**
+ * Reopen a session in the translation window layout
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+async function showSession(sessionId) {
+  const { session } = await sendHistoryMessage({ action: "getSession", sessionId });
+  if (!session) {
+    document.body.textContent = 'This session no longer exists.';
+    return;
+  }
+  
+  attachDisplaySurface(window, updateTranslationsDisplay, () => []);
+  document.title = `${session.meetingName || 'Untitled meeting'} - ${new Date(session.startedAt).toLocaleString()}`;
+  
+  setDisplayLanguages(session.outputLangs || []);
+  setSessionInfo({ startedAt: session.startedAt, meetingName: session.meetingName });
+  setTranslationStatus(false);
+  updateTranslationsDisplay(getTranslatedUtterances(session), {});
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const sessionId = new URLSearchParams(location.search).get('session');
+  
+  // The reopened transcript uses the bilingual display mode of the settings
+  initSettings().then(() => {
+    if (sessionId) {
+      return showSession(sessionId);
+    }
+    showSessionList();
+  }).catch(error => {
+    console.error("Error loading history:", error);
+    document.body.textContent = `Failed to load the history: ${error.message}`;
+  });
+});
@@ -0,0 +1,180 @@
+// Incremental translation
+// Splits a growing caption into completed sentences and an unstable tail.
+// Completed sentences are translated once and frozen, so only the tail has to
+// be re-sent to the provider while the speaker keeps talking.
+import Config from './config.js';
+import { debugLog } from './utils.js';
+import { translateSegment, stitchTranslation } from './translation-service.js';
+import { findGlossaryMatches } from './glossary.js';
+
+// A sentence ends with terminal punctuation (and closing quotes/brackets) followed by whitespace
+const SENTENCE_BOUNDARY = /[.!?…。！？]+["'»”)\]]*\s+/g;
+
+let speakerStates = {}; // speakerId -> outputLang -> { utteranceId, inputLang, outputLang, frozen, freezing }
+let nextFreezeId = 0;
+
+/**
+ * Find where the completed sentences of a text end
+ * @param {string} text - Caption text
+ * @returns {number} - Length of the completed part (0 if no sentence is complete yet)
+ */
+function getCompletedLength(text) {
+  let completedLength = 0;
+  let match;
+  
+  SENTENCE_BOUNDARY.lastIndex = 0;
+  while ((match = SENTENCE_BOUNDARY.exec(text)) !== null) {
+    // The last sentence only counts once the speaker has started the next one
+    if (match.index + match[0].length < text.length) {
+      completedLength = match.index + match[0].length;
+    }
+  }
+  
+  return completedLength;
+}
+
+/**
+ * Get the incremental state of a speaker for one target language,
+ * starting over for a new utterance or input language
+ * @param {string} speakerId - ID of the speaker
+ * @param {string} utteranceId - ID of the current utterance
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @returns {Object} - Speaker state
+ */
+function getSpeakerState(speakerId, utteranceId, inputLang, outputLang) {
+  const languageStates = speakerStates[speakerId] || (speakerStates[speakerId] = {});
+  const state = languageStates[outputLang];
+  
+  if (!state || state.utteranceId !== utteranceId || state.inputLang !== inputLang) {
+    languageStates[outputLang] = {
+      utteranceId,
+      inputLang,
+      outputLang,
+      frozen: [], // [{ source, translation }] in caption order
+      freezing: null // { id, source } of the segment being translated
+    };
+  }
+  
+  return languageStates[outputLang];
+}
+
+/**
+ * Drop frozen segments that no longer match the caption (captions get corrected)
+ * @param {Object} state - Speaker state
+ * @param {string} text - Current caption text
+ * @returns {number} - Length of the caption covered by the remaining frozen segments
+ */
+function pruneFrozenSegments(state, text) {
+  let frozenLength = 0;
+  
+  for (let i = 0; i < state.frozen.length; i++) {
+    const source = state.frozen[i].source;
+    
+    if (!text.startsWith(source, frozenLength)) {
+      debugLog(`Caption changed before frozen segment ${i}, re-translating from there`);
+      state.frozen = state.frozen.slice(0, i);
+      break;
+    }
+    
+    frozenLength += source.length;
+  }
+  
+  return frozenLength;
+}
+
+/**
+ * Translate completed sentences in the background and freeze them
+ * @param {string} speakerId - ID of the speaker
+ * @param {Object} state - Speaker state
+ * @param {string} source - Completed text to freeze
+ * @param {Object} options - See getIncrementalSegments
+ */
+function freezeSegment(speakerId, state, source, options) {
+  const freezing = { id: ++nextFreezeId, source };
+  state.freezing = freezing;
+  
+  debugLog(`Freezing ${source.length} chars for ${speakerId}: ${source.substring(0, 40)}...`);
+  
+  translateSegment(`${speakerId}:${state.outputLang}:freeze:${freezing.id}`, source.trim(), state.inputLang, state.outputLang, {
+    group: speakerId,
+    context: options.context,
+    glossary: findGlossaryMatches(source, options.glossaryTerms),
+    protectedTerms: options.protectedTerms
+  })
+    .then(translation => {
+      // The utterance was finalized or the caption changed in the meantime
+      const languageStates = speakerStates[speakerId];
+      if (!languageStates || languageStates[state.outputLang] !== state || state.freezing !== freezing) return;
+      
+      state.frozen.push({ source, translation });
+      state.freezing = null;
+      options.onFrozen();
+    })
+    .catch(error => {
+      if (state.freezing === freezing) {
+        state.freezing = null;
+      }
+      
+      // The tail request keeps covering this text, so the next update retries
+      if (error.name !== 'AbortError') {
+        debugLog(`Failed to freeze segment: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Split a caption into the frozen translation and the text that still has to be translated
+ * @param {string} speakerId - ID of the speaker
+ * @param {string} utteranceId - ID of the current utterance
+ * @param {string} text - Full caption text
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {Object} options - Incremental options
+ * @param {Function} options.onFrozen - Called when new sentences were frozen (the tail got shorter)
+ * @param {Object[]} [options.context] - Previous utterances sent along with frozen sentences
+ * @param {Object[]} [options.glossaryTerms] - Glossary entries for the language pair and meeting
+ * @param {string[]} [options.protectedTerms] - Extra words kept untranslated
+ * @returns {Object} - { frozenTranslation, liveText }: translation of the frozen
+ *   sentences and the caption text after them
+ */
+function getIncrementalSegments(speakerId, utteranceId, text, inputLang, outputLang, options) {
+  const state = getSpeakerState(speakerId, utteranceId, inputLang, outputLang);
+  const frozenLength = pruneFrozenSegments(state, text);
+  const liveText = text.substring(frozenLength);
+  
+  // A segment whose text was corrected while it was being translated is useless
+  if (state.freezing && !liveText.startsWith(state.freezing.source)) {
+    state.freezing = null;
+  }
+  
+  // Freeze newly completed sentences once there is enough of them
+  const completedLength = getCompletedLength(liveText);
+  if (!state.freezing && completedLength >= Config.INCREMENTAL_MIN_FREEZE_LENGTH) {
+    freezeSegment(speakerId, state, liveText.substring(0, completedLength), options);
+  }
+  
+  const frozenTranslation = state.frozen.reduce(
+    (translation, segment) => stitchTranslation(translation, segment.translation),
+    ''
+  );
+  
+  return { frozenTranslation, liveText: liveText.trim() };
+}
+
+/**
+ * Forget the frozen segments of a speaker (or of all speakers)
+ * @param {string} [speakerId] - ID of the speaker, all speakers if omitted
+ */
+function clearIncrementalState(speakerId) {
+  if (speakerId) {
+    delete speakerStates[speakerId];
+  } else {
+    speakerStates = {};
+  }
+}
+
+export {
+  getIncrementalSegments,
+  clearIncrementalState
+};
@@ -0,0 +1,130 @@
+// Language detection
+// Guesses the language of a caption locally, without a provider request:
+// the writing system decides for non-Latin scripts (with letters specific to
+// one language where a script is shared), common function words (and a few
+// distinctive letters) decide between Latin ones.
+import Config from './config.js';
+
+// Scripts that identify a language (or a group in SCRIPT_VARIANTS), checked in order
+// (Japanese before Chinese, since Japanese text mixes kana with Han characters)
+const SCRIPT_LANGUAGES = [
+  { code: 'ja', pattern: /[぀-ヿ]/gu },
+  { code: 'ko', pattern: /[가-힯ᄀ-ᇿ]/gu },
+  { code: 'zh', pattern: /\p{Script=Han}/gu },
+  { code: 'cyrillic', pattern: /\p{Script=Cyrillic}/gu },
+  { code: 'arabic', pattern: /\p{Script=Arabic}/gu },
+  { code: 'he', pattern: /\p{Script=Hebrew}/gu }
+];
+
+// Languages sharing a script, told apart by letters only one of them uses
+// (checked in order, the first whose letters occur wins; the language without
+// a pattern is the fallback, since short captions often lack distinctive letters)
+const SCRIPT_VARIANTS = {
+  cyrillic: [
+    { code: 'uk', pattern: /[іїєґ]/iu },
+    { code: 'ru' }
+  ],
+  arabic: [
+    // Persian captions may also use the Arabic forms of yeh and kaf
+    { code: 'fa', pattern: /[پچژگکی]/u },
+    { code: 'ar' }
+  ]
+};
+
+// Letters of a non-Latin script needed to decide on the language
+const MIN_SCRIPT_LETTERS = 4;
+
+// Frequent short words per Latin-script language
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'was', 'you', 'that', 'this', 'with', 'have', 'for', 'not', 'it', 'we', 'what', 'be', 'of', 'to', 'in', 'on', 'can', 'will', 'do', 'just', 'think'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'wir', 'sie', 'es', 'ein', 'eine', 'mit', 'auf', 'für', 'auch', 'dass', 'haben', 'wie', 'noch', 'aber', 'zu', 'den', 'dem', 'sind'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'une', 'des', 'je', 'nous', 'vous', 'pas', 'que', 'qui', 'pour', 'dans', 'avec', 'sur', 'ce', 'il', 'du', 'au', 'mais', 'sont', 'on', 'très'],
+  es: ['el', 'la', 'los', 'las', 'y', 'es', 'que', 'de', 'en', 'un', 'una', 'por', 'para', 'con', 'no', 'pero', 'muy', 'está', 'yo', 'lo', 'se', 'del', 'como', 'más', 'también'],
+  it: ['il', 'lo', 'la', 'gli', 'le', 'e', 'è', 'che', 'di', 'un', 'una', 'per', 'non', 'sono', 'con', 'del', 'della', 'ma', 'anche', 'io', 'noi', 'questo', 'come', 'ci', 'molto'],
+  pt: ['o', 'a', 'os', 'as', 'e', 'é', 'que', 'de', 'em', 'um', 'uma', 'para', 'com', 'não', 'mas', 'muito', 'do', 'da', 'no', 'na', 'eu', 'nós', 'você', 'isso', 'também']
+};
+
+// Letters that only occur in one of the Latin-script languages above
+const DISTINCTIVE_LETTERS = {
+  de: /[äöüß]/gu,
+  es: /[ñ¿¡]/gu,
+  fr: /[çœêëîûù]/gu,
+  pt: /[ãõ]/gu
+};
+
+/**
+ * Count the matches of a pattern in a text
+ * @param {string} text - Text
+ * @param {RegExp} pattern - Global pattern
+ * @returns {number} - Number of matches
+ */
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+/**
+ * Score the Latin-script languages for a text
+ * @param {string} text - Lowercase text
+ * @returns {Object} - Score per language code
+ */
+function scoreLatinLanguages(text) {
+  const words = text.match(/\p{L}+/gu) || [];
+  const scores = {};
+  
+  for (const [code, stopwords] of Object.entries(STOPWORDS)) {
+    const stopwordSet = new Set(stopwords);
+    scores[code] = words.filter(word => stopwordSet.has(word)).length;
+  }
+  
+  for (const [code, pattern] of Object.entries(DISTINCTIVE_LETTERS)) {
+    scores[code] += countMatches(text, pattern);
+  }
+  
+  return scores;
+}
+
+/**
+ * Tell apart the languages sharing a script
+ * @param {string} script - Key of SCRIPT_VARIANTS
+ * @param {string} text - Caption text
+ * @returns {string} - ISO 639-1 code, the fallback language if none of the distinctive letters occur
+ */
+function detectScriptVariant(script, text) {
+  const variant = SCRIPT_VARIANTS[script].find(candidate => !candidate.pattern || candidate.pattern.test(text));
+  return variant.code;
+}
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Caption text
+ * @returns {string|null} - ISO 639-1 code, or null if the text is too short or ambiguous
+ */
+function detectLanguage(text) {
+  const trimmed = (text || '').trim();
+  
+  // A non-Latin script that makes up a good part of the letters decides
+  // (a few characters are enough, CJK captions are short)
+  const letterCount = countMatches(trimmed, /\p{L}/gu);
+  for (const script of SCRIPT_LANGUAGES) {
+    const scriptCount = countMatches(trimmed, script.pattern);
+    if (scriptCount >= MIN_SCRIPT_LETTERS && scriptCount >= letterCount * 0.3) {
+      // Languages sharing the script are told apart by their distinctive letters
+      return SCRIPT_VARIANTS[script.code] ? detectScriptVariant(script.code, trimmed) : script.code;
+    }
+  }
+  
+  if (trimmed.length < Config.LANGUAGE_DETECTION_MIN_LENGTH) return null;
+  
+  // Otherwise the Latin-script language with a clear lead wins
+  const ranked = Object.entries(scoreLatinLanguages(trimmed.toLowerCase()))
+    .sort((a, b) => b[1] - a[1]);
+  const [best, second] = ranked;
+  
+  if (best[1] < 2 || best[1] < second[1] * 1.5) return null;
+  
+  return best[0];
+}
+
+export {
+  detectLanguage
+};
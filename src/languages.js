@@ -0,0 +1,147 @@
+// Language registry
+// Single source for language codes, display names, scripts, text direction and
+// provider-specific codes. Settings and messages may use either ISO 639-1 codes
+// ("ru") or English names ("Russian"); everything is normalized through here.
+import Config from './config.js';
+
+// Value of the input language when it should be detected
+const AUTO_DETECT = 'auto';
+
+// Supported languages; providers lists codes that differ from the ISO code
+// (a string applies to both directions, { source, target } when they differ)
+const LANGUAGES = [
+  { code: 'en', name: 'English', nativeName: 'English', script: 'Latin', rtl: false, providers: { deepl: { source: 'EN', target: 'EN-US' } } },
+  { code: 'ru', name: 'Russian', nativeName: 'Русский', script: 'Cyrillic', rtl: false },
+  { code: 'uk', name: 'Ukrainian', nativeName: 'Українська', script: 'Cyrillic', rtl: false },
+  { code: 'de', name: 'German', nativeName: 'Deutsch', script: 'Latin', rtl: false },
+  { code: 'fr', name: 'French', nativeName: 'Français', script: 'Latin', rtl: false },
+  { code: 'es', name: 'Spanish', nativeName: 'Español', script: 'Latin', rtl: false },
+  { code: 'it', name: 'Italian', nativeName: 'Italiano', script: 'Latin', rtl: false },
+  { code: 'pt', name: 'Portuguese', nativeName: 'Português', script: 'Latin', rtl: false, providers: { deepl: { source: 'PT', target: 'PT-BR' } } },
+  { code: 'nl', name: 'Dutch', nativeName: 'Nederlands', script: 'Latin', rtl: false },
+  { code: 'pl', name: 'Polish', nativeName: 'Polski', script: 'Latin', rtl: false },
+  { code: 'tr', name: 'Turkish', nativeName: 'Türkçe', script: 'Latin', rtl: false },
+  { code: 'ja', name: 'Japanese', nativeName: '日本語', script: 'Japanese', rtl: false },
+  { code: 'ko', name: 'Korean', nativeName: '한국어', script: 'Hangul', rtl: false },
+  { code: 'zh', name: 'Chinese', nativeName: '中文', script: 'Han', rtl: false, providers: { azure: 'zh-Hans', deepl: { source: 'ZH', target: 'ZH-HANS' } } },
+  { code: 'ar', name: 'Arabic', nativeName: 'العربية', script: 'Arabic', rtl: true },
+  { code: 'he', name: 'Hebrew', nativeName: 'עברית', script: 'Hebrew', rtl: true },
+  { code: 'fa', name: 'Persian', nativeName: 'فارسی', script: 'Arabic', rtl: true }
+];
+
+// Lookup by lowercase code, English name and native name
+const LANGUAGE_INDEX = new Map();
+for (const language of LANGUAGES) {
+  for (const key of [language.code, language.name, language.nativeName]) {
+    LANGUAGE_INDEX.set(key.toLowerCase(), language);
+  }
+}
+
+/**
+ * Find a language in the registry
+ * @param {string} lang - Language code ("ru"), English name ("Russian") or native name
+ * @returns {Object|null} - { code, name, nativeName, script, rtl, providers }, null if unknown
+ */
+function getLanguage(lang) {
+  if (!lang) return null;
+  
+  return LANGUAGE_INDEX.get(String(lang).trim().toLowerCase()) || null;
+}
+
+/**
+ * Normalize a language name or code to an ISO 639-1 code
+ * @param {string} lang - Language name ("Russian") or code ("ru")
+ * @returns {string} - Lowercase language code, "auto" for auto-detection;
+ *   unknown languages are passed through lowercased
+ */
+function getLanguageCode(lang) {
+  if (!lang) return AUTO_DETECT;
+  
+  const language = getLanguage(lang);
+  return language ? language.code : String(lang).trim().toLowerCase();
+}
+
+/**
+ * Get the English name of a language, for prompts and labels
+ * @param {string} lang - Language name or code
+ * @returns {string} - English name; unknown languages are returned as given
+ */
+function getLanguageName(lang) {
+  const language = getLanguage(lang);
+  return language ? language.name : String(lang || '').trim();
+}
+
+/**
+ * Check whether a language is written right to left
+ * @param {string} lang - Language name or code
+ * @returns {boolean} - True for Arabic, Hebrew, Persian...
+ */
+function isRtlLanguage(lang) {
+  const language = getLanguage(lang);
+  return Boolean(language && language.rtl);
+}
+
+/**
+ * Get the code a provider expects for a language
+ * @param {string} lang - Language name or code
+ * @param {string} providerId - Provider ID ("deepl", "azure", "libretranslate")
+ * @param {string} [direction] - 'source' or 'target'
+ * @returns {string} - Provider language code ("auto" stays "auto")
+ */
+function getProviderLanguageCode(lang, providerId, direction = 'target') {
+  const code = getLanguageCode(lang);
+  if (code === AUTO_DETECT) return code;
+  
+  const language = getLanguage(code);
+  const mapping = language && language.providers ? language.providers[providerId] : undefined;
+  
+  if (typeof mapping === 'string') return mapping;
+  if (mapping && mapping[direction]) return mapping[direction];
+  
+  // DeepL uses uppercase codes
+  return providerId === 'deepl' ? code.toUpperCase() : code;
+}
+
+/**
+ * Get the options of a language select
+ * @param {Object} [options] - List options
+ * @param {boolean} [options.includeAuto] - Start with "Auto Detect"
+ * @returns {Object[]} - { value, label } per language
+ */
+function getLanguageOptions(options = {}) {
+  const languageOptions = LANGUAGES.map(language => ({
+    value: language.code,
+    label: language.nativeName === language.name ? language.name : `${language.name} (${language.nativeName})`
+  }));
+  
+  return options.includeAuto
+    ? [{ value: AUTO_DETECT, label: 'Auto Detect' }, ...languageOptions]
+    : languageOptions;
+}
+
+/**
+ * Get the language pair of bilingual (pair) mode
+ * @returns {string[]|null} - Two distinct language codes, or null if pair mode is off
+ */
+function getLanguagePair() {
+  const languages = (Config.LANGUAGE_PAIR || '')
+    .split(/[,;/⇄|-]/)
+    .map(lang => lang.trim())
+    .filter(Boolean)
+    .map(getLanguageCode);
+  
+  if (languages.length !== 2 || languages[0] === languages[1]) return null;
+  
+  return languages;
+}
+
+export {
+  AUTO_DETECT,
+  getLanguage,
+  getLanguageCode,
+  getLanguageName,
+  isRtlLanguage,
+  getProviderLanguageCode,
+  getLanguageOptions,
+  getLanguagePair
+};
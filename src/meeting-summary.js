@@ -0,0 +1,203 @@
+// Meeting summary
+// Summarizes the transcript of the translation window with the session's provider.
+// The transcript is split into chunks that fit the model context, every chunk is
+// summarized and the partial summaries are merged until one summary is left.
+import Config from './config.js';
+
+// Sections of a summary, in display and export order
+const SUMMARY_SECTIONS = [
+  { key: 'keyPoints', title: 'Key points' },
+  { key: 'decisions', title: 'Decisions' },
+  { key: 'actionItems', title: 'Action items' },
+  { key: 'openQuestions', title: 'Open questions' }
+];
+
+/**
+ * Get the transcript lines sent to the provider
+ * @param {Object} transcript - Transcript, see exportTranscript
+ * @returns {string[]} - One "[time] Speaker: text" line per utterance, translated
+ *   where a translation exists
+ */
+function getTranscriptLines(transcript) {
+  return transcript.utterances.map(utterance => {
+    const time = new Date(utterance.start).toLocaleTimeString();
+    const text = (utterance.translation || utterance.original).replace(/\s*\n\s*/g, ' ');
+    return `[${time}] ${utterance.speaker}: ${text}`;
+  });
+}
+
+/**
+ * Split items into groups that fit a length budget
+ * @param {string[]} items - Items, in order
+ * @param {number} maxChars - Length budget of a group (an item longer than that
+ *   gets a group of its own)
+ * @param {number} [minItems] - Items a group has at least, as long as there are enough
+ * @returns {string[][]} - Groups, in order
+ */
+function groupItems(items, maxChars, minItems = 1) {
+  const groups = [];
+  let group = [];
+  let length = 0;
+  
+  for (const item of items) {
+    if (group.length >= minItems && length + item.length > maxChars) {
+      groups.push(group);
+      group = [];
+      length = 0;
+    }
+    
+    group.push(item);
+    length += item.length + 1;
+  }
+  
+  if (group.length > 0) {
+    // A short last group joins the previous one
+    if (group.length < minItems && groups.length > 0) {
+      groups[groups.length - 1].push(...group);
+    } else {
+      groups.push(group);
+    }
+  }
+  
+  return groups;
+}
+
+/**
+ * Normalize a list of the summary returned by the provider
+ * @param {*} value - List from the provider
+ * @returns {string[]} - Non-empty items
+ */
+function normalizeList(value) {
+  return (Array.isArray(value) ? value : [])
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize the action items of the summary returned by the provider
+ * @param {*} value - Action items from the provider
+ * @returns {Object[]} - { task, owner } with an empty owner if unknown
+ */
+function normalizeActionItems(value) {
+  return (Array.isArray(value) ? value : [])
+    .map(item => item && typeof item === 'object'
+      ? { task: String(item.task || '').trim(), owner: String(item.owner || '').trim() }
+      : { task: String(item).trim(), owner: '' })
+    .filter(item => item.task);
+}
+
+/**
+ * Parse the summary returned by the provider
+ * Models sometimes wrap the JSON object in a code block or add a sentence around it.
+ * @param {string} text - Provider answer
+ * @returns {Object} - { keyPoints, decisions, actionItems, openQuestions }
+ */
+function parseSummary(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start < 0 || end < start) {
+    throw new Error("The provider didn't return a summary");
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(text.substring(start, end + 1));
+  } catch (error) {
+    throw new Error(`The provider returned an invalid summary: ${error.message}`);
+  }
+  
+  return {
+    keyPoints: normalizeList(data.keyPoints),
+    decisions: normalizeList(data.decisions),
+    actionItems: normalizeActionItems(data.actionItems),
+    openQuestions: normalizeList(data.openQuestions)
+  };
+}
+
+/**
+ * Summarize a transcript
+ * @param {Object} transcript - Transcript, see exportTranscript
+ * @param {Function} summarize - (key, text, { merge }) => Promise<string>, sends a
+ *   chunk of transcript lines (or partial summaries to merge) to the provider
+ * @returns {Promise<Object>} - { keyPoints, decisions, actionItems, openQuestions,
+ *   generatedAt, utteranceCount }
+ */
+async function summarizeMeeting(transcript, summarize) {
+  const lines = getTranscriptLines(transcript);
+  if (lines.length === 0) {
+    throw new Error("There is nothing to summarize yet");
+  }
+  
+  let round = 0;
+  let summaries = await Promise.all(
+    groupItems(lines, Config.SUMMARY_CHUNK_MAX_CHARS).map((chunk, index) =>
+      summarize(`summary-${round}-${index}`, chunk.join('\n'), { merge: false }).then(parseSummary)
+    )
+  );
+  
+  // Every round merges at least two summaries into one
+  while (summaries.length > 1) {
+    round++;
+    const partials = summaries.map(summary => JSON.stringify(summary));
+    summaries = await Promise.all(
+      groupItems(partials, Config.SUMMARY_CHUNK_MAX_CHARS, 2).map((group, index) =>
+        summarize(`summary-${round}-${index}`, group.join('\n'), { merge: true }).then(parseSummary)
+      )
+    );
+  }
+  
+  return {
+    ...summaries[0],
+    generatedAt: Date.now(),
+    utteranceCount: transcript.utterances.length
+  };
+}
+
+/**
+ * Format an item of a summary section
+ * @param {string|Object} item - List item, or { task, owner } for action items
+ * @returns {string} - Item text, action items with their owner
+ */
+function formatSummaryItem(item) {
+  if (typeof item === 'string') return item;
+  
+  return item.owner ? `${item.task} (${item.owner})` : item.task;
+}
+
+/**
+ * Format a summary as Markdown
+ * @param {Object} summary - Summary from summarizeMeeting
+ * @returns {string} - Markdown sections
+ */
+function formatSummaryMarkdown(summary) {
+  const sections = SUMMARY_SECTIONS.map(section => {
+    const items = summary[section.key] || [];
+    const list = items.length > 0 ? items.map(item => `- ${formatSummaryItem(item)}`).join('\n') : '_None_';
+    return `### ${section.title}\n\n${list}`;
+  });
+  
+  return ['## Summary', ...sections].join('\n\n');
+}
+
+/**
+ * Format a summary as plain text
+ * @param {Object} summary - Summary from summarizeMeeting
+ * @returns {string} - Text sections
+ */
+function formatSummaryText(summary) {
+  const sections = SUMMARY_SECTIONS.map(section => {
+    const items = summary[section.key] || [];
+    const list = items.length > 0 ? items.map(item => `  - ${formatSummaryItem(item)}`) : ['  (none)'];
+    return [`${section.title}:`, ...list].join('\n');
+  });
+  
+  return ['SUMMARY', ...sections].join('\n\n');
+}
+
+export {
+  SUMMARY_SECTIONS,
+  summarizeMeeting,
+  formatSummaryItem,
+  formatSummaryMarkdown,
+  formatSummaryText
+};
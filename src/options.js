@@ -0,0 +1,687 @@
+// Options page
+// Renders a form for every setting in SETTINGS_SCHEMA plus the API keys kept by the
+// background worker. Saved overrides propagate live to running content scripts.
+import {
+  SETTINGS_SCHEMA,
+  validateSetting,
+  getDefaultSetting,
+  getStoredSettings,
+  saveSettings,
+  resetSettings
+} from './settings.js';
+import {
+  loadGlossary,
+  addGlossaryEntries,
+  removeGlossaryEntry,
+  parseGlossaryCsv
+} from './glossary.js';
+
+// API keys shown on the page (values are write-only)
+const CREDENTIAL_FIELDS = [
+  { name: 'OPENAI_API_KEY', label: 'OpenAI API key' },
+  { name: 'OPENAI_CUSTOM_HEADERS', label: 'OpenAI-compatible custom headers (one "Name: value" per line)', multiline: true },
+  { name: 'DEEPL_API_KEY', label: 'DeepL API key' },
+  { name: 'AZURE_TRANSLATOR_KEY', label: 'Azure Translator key' },
+  { name: 'LIBRETRANSLATE_API_KEY', label: 'LibreTranslate API key' }
+];
+
+const pageContent = `
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      margin: 0;
+      background-color: #f9f9f9;
+      color: #333;
+    }
+    header {
+      background-color: #0078d4;
+      color: white;
+      padding: 12px 20px;
+    }
+    h1 {
+      margin: 0;
+      font-size: 20px;
+    }
+    main {
+      max-width: 720px;
+      padding: 10px 20px 80px;
+    }
+    fieldset {
+      border: 1px solid #ddd;
+      border-radius: 5px;
+      background: white;
+      margin: 15px 0;
+      padding: 10px 15px;
+    }
+    legend {
+      font-weight: bold;
+      color: #0078d4;
+    }
+    .field {
+      margin: 10px 0;
+    }
+    .field label {
+      display: block;
+      margin-bottom: 4px;
+    }
+    .field input[type="text"],
+    .field input[type="number"],
+    .field input[type="password"],
+    .field select,
+    .field textarea {
+      width: 100%;
+      box-sizing: border-box;
+      padding: 5px;
+      font-family: inherit;
+    }
+    .field textarea {
+      min-height: 90px;
+      font-family: monospace;
+    }
+    .field.invalid input,
+    .field.invalid select,
+    .field.invalid textarea {
+      border-color: #d13438;
+    }
+    .hint {
+      font-size: 11px;
+      color: #888;
+      margin-top: 2px;
+    }
+    .error {
+      font-size: 12px;
+      color: #d13438;
+      margin-top: 2px;
+    }
+    .controls {
+      position: fixed;
+      bottom: 0;
+      left: 0;
+      right: 0;
+      padding: 10px 20px;
+      background: white;
+      border-top: 1px solid #ddd;
+      display: flex;
+      gap: 10px;
+      align-items: center;
+    }
+    button {
+      padding: 8px 15px;
+      cursor: pointer;
+      background-color: #0078d4;
+      color: white;
+      border: none;
+      border-radius: 3px;
+      font-weight: bold;
+    }
+    button.secondary {
+      background-color: #f0f0f0;
+      color: #333;
+    }
+    #status {
+      font-size: 13px;
+    }
+    .cache-stats {
+      font-size: 13px;
+      line-height: 1.6;
+      margin-bottom: 10px;
+    }
+    .glossary-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+      margin-bottom: 10px;
+    }
+    .glossary-table th,
+    .glossary-table td {
+      text-align: left;
+      padding: 4px 6px;
+      border-bottom: 1px solid #eee;
+    }
+    .glossary-table button {
+      padding: 2px 8px;
+      font-weight: normal;
+    }
+    .glossary-form {
+      display: grid;
+      grid-template-columns: 1fr 1fr;
+      gap: 6px 10px;
+    }
+    .glossary-form input {
+      width: 100%;
+      box-sizing: border-box;
+      padding: 5px;
+    }
+    .glossary-actions {
+      display: flex;
+      gap: 10px;
+      align-items: center;
+      margin-top: 10px;
+    }
+  </style>
+  <header>
+    <h1>Teams Subtitle Translator Settings</h1>
+  </header>
+  <main>
+    <form id="settings-form" novalidate></form>
+    <fieldset>
+      <legend>Translation Cache</legend>
+      <div id="cache-stats" class="cache-stats">Loading...</div>
+      <button id="clearCacheBtn" class="secondary">Clear Cache</button>
+    </fieldset>
+    <fieldset>
+      <legend>Meeting History</legend>
+      <div class="hint">Every translation session is saved with all its utterances while "Save meeting sessions to the history" is on.</div>
+      <p><a href="history.html" id="history-link">Browse, reopen, export and delete past sessions</a></p>
+    </fieldset>
+    <fieldset>
+      <legend>Glossary</legend>
+      <div class="hint">Terms found in a caption are sent with the request, and translations that don't use the required term are flagged in the translation window. Leave the meeting empty to use a term in every meeting.</div>
+      <table class="glossary-table">
+        <thead>
+          <tr><th>Term</th><th>Translation</th><th>Languages</th><th>Meeting</th><th></th></tr>
+        </thead>
+        <tbody id="glossary-entries"></tbody>
+      </table>
+      <div class="glossary-form">
+        <input type="text" id="glossary-source" placeholder="Term">
+        <input type="text" id="glossary-target" placeholder="Required translation">
+        <input type="text" id="glossary-input-lang" placeholder="Input language (empty for any)">
+        <input type="text" id="glossary-output-lang" placeholder="Output language">
+        <input type="text" id="glossary-meeting" placeholder="Meeting name (empty for all meetings)">
+      </div>
+      <div class="glossary-actions">
+        <button id="addTermBtn" class="secondary">Add Term</button>
+        <input type="file" id="glossary-file" accept=".csv,.tsv,.txt">
+        <button id="importGlossaryBtn" class="secondary">Import CSV</button>
+      </div>
+      <div class="hint">CSV columns: term, translation[, input language, output language[, meeting]]. Separate them with commas, semicolons or tabs (one kind per file, quote terms that contain it). Missing columns are taken from the fields above.</div>
+    </fieldset>
+  </main>
+  <div class="controls">
+    <button id="saveBtn">Save</button>
+    <button id="resetBtn" class="secondary">Reset to Defaults</button>
+    <span id="status"></span>
+  </div>
+`;
+
+/**
+ * Format a value for display in a form control
+ * @param {Object} schema - Setting schema
+ * @param {*} value - Setting value
+ * @returns {string} - Control value
+ */
+function formatValue(schema, value) {
+  if (schema.type === 'json') {
+    return JSON.stringify(value || {}, null, 2);
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Create the form control for a setting
+ * @param {string} key - Config key
+ * @param {Object} schema - Setting schema
+ * @param {*} value - Current value
+ * @returns {HTMLElement} - Field element
+ */
+function createField(key, schema, value) {
+  const field = document.createElement('div');
+  field.className = 'field';
+  field.dataset.key = key;
+  
+  const label = document.createElement('label');
+  label.htmlFor = `setting-${key}`;
+  label.textContent = schema.label;
+  
+  let control;
+  if (schema.type === 'boolean') {
+    control = document.createElement('input');
+    control.type = 'checkbox';
+    control.checked = value === true;
+    label.prepend(control);
+  } else if (schema.type === 'select') {
+    control = document.createElement('select');
+    for (const option of schema.options) {
+      const optionEl = document.createElement('option');
+      optionEl.value = option;
+      optionEl.textContent = option;
+      control.appendChild(optionEl);
+    }
+    control.value = value;
+  } else if (schema.type === 'text' || schema.type === 'json') {
+    control = document.createElement('textarea');
+    control.value = formatValue(schema, value);
+  } else {
+    control = document.createElement('input');
+    control.type = schema.type === 'number' ? 'number' : 'text';
+    if (schema.min !== undefined) control.min = schema.min;
+    if (schema.max !== undefined) control.max = schema.max;
+    control.value = formatValue(schema, value);
+  }
+  
+  control.id = `setting-${key}`;
+  control.name = key;
+  
+  field.appendChild(label);
+  if (schema.type !== 'boolean') {
+    field.appendChild(control);
+  }
+  
+  const hint = document.createElement('div');
+  hint.className = 'hint';
+  hint.textContent = `Default: ${formatValue(schema, getDefaultSetting(key)).split('\n')[0]}`;
+  field.appendChild(hint);
+  
+  const error = document.createElement('div');
+  error.className = 'error';
+  field.appendChild(error);
+  
+  // Validate as the user types
+  control.addEventListener('input', () => {
+    const result = validateSetting(key, readControl(control, schema));
+    showFieldError(field, result.valid ? null : result.error);
+  });
+  
+  return field;
+}
+
+/**
+ * Read the raw value of a form control
+ * @param {HTMLElement} control - Form control
+ * @param {Object} schema - Setting schema
+ * @returns {*} - Raw value
+ */
+function readControl(control, schema) {
+  return schema.type === 'boolean' ? control.checked : control.value;
+}
+
+/**
+ * Show or clear a field's validation error
+ * @param {HTMLElement} field - Field element
+ * @param {string|null} message - Error message
+ */
+function showFieldError(field, message) {
+  field.classList.toggle('invalid', Boolean(message));
+  field.querySelector('.error').textContent = message || '';
+}
+
+/**
+ * Show a status message next to the buttons
+ * @param {string} message - Status text
+ * @param {boolean} [isError] - Whether the message is an error
+ */
+function showStatus(message, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.style.color = isError ? '#d13438' : '#107c10';
+  
+  clearTimeout(showStatus.timer);
+  showStatus.timer = setTimeout(() => {
+    status.textContent = '';
+  }, 3000);
+}
+
+/**
+ * Render the settings form grouped by section
+ * @param {Object} stored - Stored overrides
+ * @param {Object|null} credentialStatus - Which API keys are set, null if unknown
+ */
+function renderForm(stored, credentialStatus) {
+  const form = document.getElementById('settings-form');
+  form.innerHTML = '';
+  
+  const sections = {};
+  for (const key in SETTINGS_SCHEMA) {
+    const schema = SETTINGS_SCHEMA[key];
+    
+    if (!sections[schema.section]) {
+      const fieldset = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = schema.section;
+      fieldset.appendChild(legend);
+      form.appendChild(fieldset);
+      sections[schema.section] = fieldset;
+    }
+    
+    const value = Object.prototype.hasOwnProperty.call(stored, key) ? stored[key] : getDefaultSetting(key);
+    sections[schema.section].appendChild(createField(key, schema, value));
+  }
+  
+  // API keys are stored by the background worker and never read back
+  const keysFieldset = document.createElement('fieldset');
+  const keysLegend = document.createElement('legend');
+  keysLegend.textContent = 'API Keys';
+  keysFieldset.appendChild(keysLegend);
+  
+  for (const { name, label, multiline } of CREDENTIAL_FIELDS) {
+    const field = document.createElement('div');
+    field.className = 'field';
+    
+    const labelEl = document.createElement('label');
+    labelEl.htmlFor = `credential-${name}`;
+    labelEl.textContent = label;
+    
+    // Header lines need a text area; like the keys, saved values are never shown
+    const input = document.createElement(multiline ? 'textarea' : 'input');
+    if (multiline) {
+      input.rows = 2;
+    } else {
+      input.type = 'password';
+    }
+    input.id = `credential-${name}`;
+    input.dataset.credential = name;
+    input.autocomplete = 'off';
+    if (!credentialStatus) {
+      input.placeholder = 'Unknown (leave empty to keep)';
+    } else {
+      input.placeholder = credentialStatus[name] ? 'Saved (leave empty to keep)' : 'Not set';
+    }
+    
+    field.appendChild(labelEl);
+    field.appendChild(input);
+    keysFieldset.appendChild(field);
+  }
+  
+  form.appendChild(keysFieldset);
+}
+
+/**
+ * Send a request to the background worker
+ * @param {Object} message - Message with the action
+ * @returns {Promise<Object>} - Successful response
+ */
+function sendBackgroundMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (response && response.status === "success") {
+        resolve(response);
+      } else {
+        reject(new Error(response ? response.message : "No response from background worker"));
+      }
+    });
+  });
+}
+
+/**
+ * Ask the background worker which API keys are set
+ * @returns {Promise<Object>} - Map of credential names to booleans
+ */
+async function getCredentialStatus() {
+  const response = await sendBackgroundMessage({ action: "getCredentialStatus" });
+  return response.credentials;
+}
+
+/**
+ * Send newly entered API keys to the background worker
+ * @returns {Promise<void>}
+ */
+function saveCredentialInputs() {
+  const updates = {};
+  document.querySelectorAll('[data-credential]').forEach(input => {
+    if (input.value.trim()) {
+      updates[input.dataset.credential] = input.value.trim();
+    }
+  });
+  
+  if (Object.keys(updates).length === 0) return Promise.resolve();
+  
+  return sendBackgroundMessage({ action: "saveCredentials", credentials: updates });
+}
+
+/**
+ * Show persistent cache statistics from the background worker
+ */
+function renderCacheStats() {
+  chrome.runtime.sendMessage({ action: "getCacheStats" }, response => {
+    const container = document.getElementById('cache-stats');
+    if (!response || response.status !== "success") {
+      container.textContent = `Cache statistics unavailable${response ? `: ${response.message}` : ''}`;
+      return;
+    }
+    
+    const { stats } = response;
+    const toKb = bytes => (bytes / 1024).toFixed(1);
+    
+    container.innerHTML = '';
+    [
+      `Entries: ${stats.entries}`,
+      `Size: ${toKb(stats.size)} KB of ${toKb(stats.maxSize)} KB`,
+      `Hits: ${stats.hits}, misses: ${stats.misses} (hit rate ${(stats.hitRate * 100).toFixed(1)}%)`,
+      `Evicted entries: ${stats.evictions}`
+    ].forEach(line => {
+      const lineEl = document.createElement('div');
+      lineEl.textContent = line;
+      container.appendChild(lineEl);
+    });
+  });
+}
+
+/**
+ * Remove every cached translation
+ */
+function handleClearCache() {
+  if (!confirm('Remove all cached translations?')) return;
+  
+  chrome.runtime.sendMessage({ action: "clearCache" }, response => {
+    if (response && response.status === "success") {
+      showStatus('Translation cache cleared');
+    } else {
+      showStatus(`Failed to clear cache${response ? `: ${response.message}` : ''}`, true);
+    }
+    renderCacheStats();
+  });
+}
+
+/**
+ * Show the stored glossary entries
+ */
+async function renderGlossary() {
+  const entries = await loadGlossary();
+  const tbody = document.getElementById('glossary-entries');
+  tbody.innerHTML = '';
+  
+  if (entries.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 5;
+    cell.className = 'hint';
+    cell.textContent = 'No terms yet';
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+  
+  for (const entry of entries) {
+    const row = document.createElement('tr');
+    
+    [
+      entry.source,
+      entry.target,
+      `${entry.inputLang || 'any'} → ${entry.outputLang}`,
+      entry.meeting || 'All meetings'
+    ].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    
+    const actionCell = document.createElement('td');
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'secondary';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', async () => {
+      await removeGlossaryEntry(entry.id);
+      renderGlossary();
+    });
+    actionCell.appendChild(removeBtn);
+    row.appendChild(actionCell);
+    
+    tbody.appendChild(row);
+  }
+}
+
+/**
+ * Read the language pair and meeting entered in the glossary form
+ * @returns {Object} - { inputLang, outputLang, meeting }
+ */
+function getGlossaryDefaults() {
+  return {
+    inputLang: document.getElementById('glossary-input-lang').value.trim(),
+    outputLang: document.getElementById('glossary-output-lang').value.trim() || getDefaultSetting('DEFAULT_OUTPUT_LANG'),
+    meeting: document.getElementById('glossary-meeting').value.trim()
+  };
+}
+
+/**
+ * Add the term entered in the glossary form
+ */
+async function handleAddTerm() {
+  const sourceInput = document.getElementById('glossary-source');
+  const targetInput = document.getElementById('glossary-target');
+  
+  if (!sourceInput.value.trim() || !targetInput.value.trim()) {
+    showStatus('Enter a term and its translation', true);
+    return;
+  }
+  
+  await addGlossaryEntries([{
+    ...getGlossaryDefaults(),
+    source: sourceInput.value,
+    target: targetInput.value
+  }]);
+  
+  sourceInput.value = '';
+  targetInput.value = '';
+  await renderGlossary();
+  showStatus('Term added');
+}
+
+/**
+ * Import glossary terms from the selected CSV file
+ */
+async function handleImportGlossary() {
+  const file = document.getElementById('glossary-file').files[0];
+  if (!file) {
+    showStatus('Choose a CSV file first', true);
+    return;
+  }
+  
+  try {
+    const { entries, errors } = parseGlossaryCsv(await file.text(), getGlossaryDefaults());
+    const count = await addGlossaryEntries(entries);
+    await renderGlossary();
+    
+    if (errors.length > 0) {
+      console.error("Skipped glossary lines:", errors);
+      showStatus(`Imported ${count} term(s), skipped ${errors.length} invalid line(s)`, true);
+    } else {
+      showStatus(`Imported ${count} term(s)`);
+    }
+  } catch (error) {
+    console.error("Error importing glossary:", error);
+    showStatus(`Failed to import glossary: ${error.message}`, true);
+  }
+}
+
+/**
+ * Validate and save the form
+ */
+async function handleSave() {
+  const overrides = {};
+  for (const key in SETTINGS_SCHEMA) {
+    const control = document.getElementById(`setting-${key}`);
+    if (control) {
+      overrides[key] = readControl(control, SETTINGS_SCHEMA[key]);
+    }
+  }
+  
+  const { saved, errors } = await saveSettings(overrides);
+  
+  document.querySelectorAll('.field[data-key]').forEach(field => {
+    showFieldError(field, errors[field.dataset.key] || null);
+  });
+  
+  if (!saved) {
+    showStatus(`Fix ${Object.keys(errors).length} invalid setting(s) before saving`, true);
+    return;
+  }
+  
+  try {
+    await saveCredentialInputs();
+  } catch (error) {
+    // Keep the entered keys so saving can be retried
+    console.error("Error saving API keys:", error);
+    showStatus(`Settings saved, but the API keys were not: ${error.message}`, true);
+    return;
+  }
+  
+  if (await loadPage()) {
+    showStatus('Settings saved');
+  }
+}
+
+/**
+ * Reset every setting to its default
+ */
+async function handleReset() {
+  if (!confirm('Reset all settings to their defaults? API keys are kept.')) return;
+  
+  await resetSettings();
+  if (await loadPage()) {
+    showStatus('Settings reset to defaults');
+  }
+}
+
+/**
+ * Load stored values and render the page
+ * @returns {Promise<boolean>} - False if the API key status couldn't be read (the
+ *   error is shown in the status line)
+ */
+async function loadPage() {
+  let credentialError = null;
+  const [stored, credentialStatus] = await Promise.all([
+    getStoredSettings(),
+    getCredentialStatus().catch(error => {
+      credentialError = error;
+      return null;
+    })
+  ]);
+  renderForm(stored, credentialStatus);
+  
+  if (credentialError) {
+    console.error("Error reading API key status:", credentialError);
+    showStatus(`Failed to read the API key status: ${credentialError.message}`, true);
+    return false;
+  }
+  return true;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.body.innerHTML = pageContent;
+  document.title = 'Teams Subtitle Translator Settings';
+  
+  document.getElementById('saveBtn').addEventListener('click', handleSave);
+  document.getElementById('resetBtn').addEventListener('click', handleReset);
+  document.getElementById('clearCacheBtn').addEventListener('click', handleClearCache);
+  document.getElementById('history-link').addEventListener('click', event => {
+    // Open it as an extension tab, so the background worker serves its requests
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+  });
+  document.getElementById('addTermBtn').addEventListener('click', handleAddTerm);
+  document.getElementById('importGlossaryBtn').addEventListener('click', handleImportGlossary);
+  document.getElementById('glossary-output-lang').value = getDefaultSetting('DEFAULT_OUTPUT_LANG');
+  
+  renderCacheStats();
+  renderGlossary().catch(error => {
+    console.error("Error loading glossary:", error);
+  });
+  
+  loadPage().catch(error => {
+    console.error("Error loading settings:", error);
+    showStatus(`Failed to load settings: ${error.message}`, true);
+  });
+});
@@ -0,0 +1,343 @@
+// In-page caption overlay
+// Shows the last translated lines as subtitles on top of the Teams page. The
+// overlay lives in a Shadow DOM so Teams styles don't leak in (and ours don't
+// leak out); it can be dragged by its handle and resized from the corner, and
+// remembers its position and size per meeting.
+import Config from './config.js';
+import { debugLog, getMeetingName } from './utils.js';
+import { isRtlLanguage } from './languages.js';
+
+const STORAGE_KEY = 'overlayPositions';
+
+// Host element of the overlay (null while closed)
+let overlayHost = null;
+
+// Elements inside the shadow root
+let overlayElements = null;
+
+// Timer to save the position after a resize settles
+let saveGeometryTimeout = null;
+
+// Position used when the meeting has none stored yet
+const DEFAULT_GEOMETRY = { left: null, top: null, width: 640, height: 160 };
+
+const overlayStyles = `
+  :host {
+    all: initial;
+  }
+  .overlay {
+    position: fixed;
+    z-index: 2147483000;
+    display: flex;
+    flex-direction: column;
+    min-width: 200px;
+    min-height: 60px;
+    box-sizing: border-box;
+    border-radius: 8px;
+    color: white;
+    font-family: "Segoe UI", Arial, sans-serif;
+    resize: both;
+    overflow: hidden;
+    box-shadow: 0 2px 12px rgba(0, 0, 0, 0.3);
+  }
+  .handle {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 2px 8px;
+    font-size: 11px;
+    color: rgba(255, 255, 255, 0.7);
+    cursor: move;
+    user-select: none;
+  }
+  .close {
+    background: none;
+    border: none;
+    color: inherit;
+    font-size: 14px;
+    cursor: pointer;
+    padding: 0 2px;
+  }
+  .lines {
+    flex-grow: 1;
+    display: flex;
+    flex-direction: column;
+    justify-content: flex-end;
+    padding: 0 12px 8px;
+    overflow: hidden;
+  }
+  .line {
+    line-height: 1.35;
+    margin-top: 4px;
+    text-shadow: 0 1px 2px rgba(0, 0, 0, 0.8);
+  }
+  .line.active .text {
+    opacity: 0.85;
+  }
+  .speaker {
+    font-weight: 600;
+    color: #9fd1ff;
+    margin-right: 6px;
+  }
+`;
+
+/**
+ * Get the storage key of the current meeting
+ * @returns {string} - Normalized meeting name ('' outside a named meeting)
+ */
+function getMeetingKey() {
+  return getMeetingName().trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Load the stored position and size for the current meeting
+ * @returns {Promise<Object>} - { left, top, width, height }
+ */
+async function loadGeometry() {
+  try {
+    const data = await chrome.storage.local.get(STORAGE_KEY);
+    const positions = data[STORAGE_KEY] || {};
+    return { ...DEFAULT_GEOMETRY, ...(positions[getMeetingKey()] || {}) };
+  } catch (error) {
+    debugLog(`Failed to load overlay position: ${error.message}`);
+    return { ...DEFAULT_GEOMETRY };
+  }
+}
+
+/**
+ * Store the current position and size for the current meeting
+ * @returns {Promise<void>}
+ */
+async function saveGeometry() {
+  if (!overlayElements) return;
+  
+  const rect = overlayElements.overlay.getBoundingClientRect();
+  const geometry = {
+    left: Math.round(rect.left),
+    top: Math.round(rect.top),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height)
+  };
+  
+  try {
+    const data = await chrome.storage.local.get(STORAGE_KEY);
+    const positions = data[STORAGE_KEY] || {};
+    positions[getMeetingKey()] = geometry;
+    await chrome.storage.local.set({ [STORAGE_KEY]: positions });
+  } catch (error) {
+    console.error("Error saving overlay position:", error);
+  }
+}
+
+/**
+ * Place the overlay, keeping it inside the viewport
+ * @param {HTMLElement} overlay - Overlay element
+ * @param {Object} geometry - { left, top, width, height }; null left/top centers it near the bottom
+ */
+function applyGeometry(overlay, geometry) {
+  const width = Math.min(geometry.width, window.innerWidth);
+  const height = Math.min(geometry.height, window.innerHeight);
+  const left = geometry.left === null ? (window.innerWidth - width) / 2 : geometry.left;
+  const top = geometry.top === null ? window.innerHeight - height - 80 : geometry.top;
+  
+  overlay.style.width = `${width}px`;
+  overlay.style.height = `${height}px`;
+  overlay.style.left = `${Math.max(0, Math.min(left, window.innerWidth - width))}px`;
+  overlay.style.top = `${Math.max(0, Math.min(top, window.innerHeight - height))}px`;
+}
+
+/**
+ * Apply the configurable appearance (font size, background opacity)
+ */
+function applyOverlayAppearance() {
+  if (!overlayElements) return;
+  
+  const opacity = Math.max(0, Math.min(100, Config.OVERLAY_BACKGROUND_OPACITY)) / 100;
+  overlayElements.overlay.style.backgroundColor = `rgba(0, 0, 0, ${opacity})`;
+  overlayElements.lines.style.fontSize = `${Config.OVERLAY_FONT_SIZE}px`;
+}
+
+/**
+ * Let the overlay be dragged by its handle
+ * @param {HTMLElement} overlay - Overlay element
+ * @param {HTMLElement} handle - Drag handle
+ */
+function enableDragging(overlay, handle) {
+  handle.addEventListener('pointerdown', event => {
+    if (event.target.closest('.close')) return;
+    
+    const rect = overlay.getBoundingClientRect();
+    const offsetX = event.clientX - rect.left;
+    const offsetY = event.clientY - rect.top;
+    handle.setPointerCapture(event.pointerId);
+    
+    const onMove = moveEvent => {
+      const left = Math.max(0, Math.min(moveEvent.clientX - offsetX, window.innerWidth - rect.width));
+      const top = Math.max(0, Math.min(moveEvent.clientY - offsetY, window.innerHeight - rect.height));
+      overlay.style.left = `${left}px`;
+      overlay.style.top = `${top}px`;
+    };
+    
+    const onUp = () => {
+      handle.removeEventListener('pointermove', onMove);
+      handle.removeEventListener('pointerup', onUp);
+      saveGeometry();
+    };
+    
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onUp);
+  });
+}
+
+/**
+ * Open the overlay (does nothing if it is already open)
+ * @returns {Promise<void>}
+ */
+async function openOverlay() {
+  if (overlayHost) return;
+  
+  overlayHost = document.createElement('div');
+  overlayHost.id = 'teams-translator-overlay';
+  const shadowRoot = overlayHost.attachShadow({ mode: 'open' });
+  
+  shadowRoot.innerHTML = `
+    <style>${overlayStyles}</style>
+    <div class="overlay">
+      <div class="handle">
+        <span>Translation</span>
+        <button class="close" title="Hide overlay">&times;</button>
+      </div>
+      <div class="lines"></div>
+    </div>
+  `;
+  
+  overlayElements = {
+    overlay: shadowRoot.querySelector('.overlay'),
+    handle: shadowRoot.querySelector('.handle'),
+    lines: shadowRoot.querySelector('.lines')
+  };
+  
+  applyOverlayAppearance();
+  applyGeometry(overlayElements.overlay, DEFAULT_GEOMETRY);
+  document.body.appendChild(overlayHost);
+  
+  enableDragging(overlayElements.overlay, overlayElements.handle);
+  overlayElements.handle.querySelector('.close').addEventListener('click', closeOverlay);
+  
+  // Save the size once a resize from the corner settles
+  const resizeObserver = new ResizeObserver(() => {
+    clearTimeout(saveGeometryTimeout);
+    saveGeometryTimeout = setTimeout(saveGeometry, 500);
+  });
+  overlayElements.resizeObserver = resizeObserver;
+  
+  const geometry = await loadGeometry();
+  if (overlayElements) {
+    applyGeometry(overlayElements.overlay, geometry);
+    resizeObserver.observe(overlayElements.overlay);
+  }
+  
+  debugLog("Caption overlay opened");
+}
+
+/**
+ * Close the overlay
+ */
+function closeOverlay() {
+  if (!overlayHost) return;
+  
+  clearTimeout(saveGeometryTimeout);
+  overlayElements.resizeObserver.disconnect();
+  overlayHost.remove();
+  overlayHost = null;
+  overlayElements = null;
+  
+  debugLog("Caption overlay closed");
+}
+
+/**
+ * Check whether the overlay is open
+ * @returns {boolean} - True if the overlay is on the page
+ */
+function isOverlayOpen() {
+  return overlayHost !== null;
+}
+
+/**
+ * Get the most recent utterances across all speakers
+ * @param {Object} translatedUtterances - Map of speaker IDs to arrays of finalized utterances
+ * @param {Object} activeSpeakers - Map of speaker IDs to active utterances
+ * @param {number} count - Number of utterances
+ * @returns {Object[]} - Utterances, oldest first
+ */
+function getRecentUtterances(translatedUtterances, activeSpeakers, count) {
+  const byId = new Map();
+  
+  for (const speakerId in translatedUtterances) {
+    for (const utterance of translatedUtterances[speakerId] || []) {
+      if (utterance && utterance.utteranceId) {
+        byId.set(utterance.utteranceId, utterance);
+      }
+    }
+  }
+  
+  // Active utterances are newer than their finalized copies
+  for (const speakerId in activeSpeakers) {
+    const speaker = activeSpeakers[speakerId];
+    if (speaker && speaker.utteranceId && speaker.fullText) {
+      byId.set(speaker.utteranceId, speaker);
+    }
+  }
+  
+  return Array.from(byId.values())
+    .sort((a, b) => Number(a.utteranceId) - Number(b.utteranceId))
+    .slice(-count);
+}
+
+/**
+ * Show the latest translations in the overlay
+ * @param {Object} translatedUtterances - Map of speaker IDs to arrays of utterances
+ * @param {Object} activeSpeakers - Map of speaker IDs to active speakers
+ */
+function updateOverlayDisplay(translatedUtterances, activeSpeakers) {
+  if (!overlayElements) return;
+  
+  try {
+    applyOverlayAppearance();
+    
+    const utterances = getRecentUtterances(translatedUtterances, activeSpeakers, Config.OVERLAY_LINE_COUNT);
+    const lines = overlayElements.lines;
+    
+    // Rebuild only the lines that changed
+    utterances.forEach((utterance, index) => {
+      let line = lines.children[index];
+      if (!line) {
+        line = document.createElement('div');
+        line.className = 'line';
+        line.innerHTML = '<span class="speaker"></span><span class="text"></span>';
+        lines.appendChild(line);
+      }
+      
+      const text = utterance.translatedText || '';
+      line.classList.toggle('active', utterance.active === true);
+      line.dir = isRtlLanguage(utterance.translatedLang) ? 'rtl' : 'auto';
+      line.querySelector('.speaker').textContent = utterance.speaker || '';
+      if (line.querySelector('.text').textContent !== text) {
+        line.querySelector('.text').textContent = text;
+      }
+    });
+    
+    while (lines.children.length > utterances.length) {
+      lines.lastChild.remove();
+    }
+  } catch (error) {
+    console.error("Error updating overlay:", error);
+  }
+}
+
+export {
+  openOverlay,
+  closeOverlay,
+  isOverlayOpen,
+  updateOverlayDisplay
+};
@@ -0,0 +1,30 @@
+// Extension popup language lists
+// Loaded by popup.html before popup.js, so the input and output language
+// selects list the languages of the registry instead of a hard-coded copy.
+import { getLanguageOptions } from './languages.js';
+
+/**
+ * Fill a select with language options, keeping its current value if still listed
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Object[]} options - { value, label } per language
+ */
+function fillLanguageSelect(select, options) {
+  if (!select) return;
+  
+  const selected = select.value;
+  select.innerHTML = '';
+  
+  options.forEach(option => {
+    const optionEl = document.createElement('option');
+    optionEl.value = option.value;
+    optionEl.textContent = option.label;
+    select.appendChild(optionEl);
+  });
+  
+  if (options.some(option => option.value === selected)) {
+    select.value = selected;
+  }
+}
+
+fillLanguageSelect(document.getElementById('inputLang'), getLanguageOptions({ includeAuto: true }));
+fillLanguageSelect(document.getElementById('outputLang'), getLanguageOptions());
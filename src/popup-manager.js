@@ -1,9 +1,21 @@
 // Popup window management
+import Config from './config.js';
 import { debugLog, getDebugLogs } from './utils.js';
+import { getLanguagePair, getLanguageName, getLanguageOptions, isRtlLanguage } from './languages.js';
+import { getSpeakerPreference, setSpeakerPreference } from './speaker-preferences.js';
+import { getStoredSettings, saveSettings } from './settings.js';
+import { EXPORT_FORMATS, exportTranscript, downloadExport, formatUtteranceText } from './transcript-export.js';
+import { setupTranscriptSearch, applyTranscriptSearch } from './transcript-search.js';
+import { SUMMARY_SECTIONS, formatSummaryItem } from './meeting-summary.js';
 
 // Reference to the popup window
 let popupWindow = null;
 
+// Display surface the translations are rendered into: the popup (or
+// Picture-in-Picture) window opened here, or an extension page such as the
+// side panel. { window, document, getLogs }
+let surface = null;
+
 // Set interval to check popup window status
 let popupCheckInterval = null;
 
@@ -13,19 +25,547 @@ let popupInitTimeout = null;
 // Prevent reopening too frequently
 let lastPopupCreationTime = 0;
 
+// Whether the translation window should be an always-on-top Picture-in-Picture window
+let pictureInPictureRequested = false;
+
+// Whether the current translation window is a Picture-in-Picture window
+let isPictureInPictureWindow = false;
+
+// A Picture-in-Picture window is being requested
+let pictureInPicturePending = false;
+
+// Waiting for a click in the page to open the Picture-in-Picture window
+let pictureInPictureWaitingForGesture = false;
+
 // Track all accumulated translations by speaker and utterance ID
 let accumulatedTranslations = {};
 
 // Maintain speaker history to preserve order
 let speakerDisplayOrder = [];
 
+// Target languages shown as columns (the first one is the main translation)
+let displayLanguages = [];
+
+// Session shown in the window, for exports
+let sessionInfo = { startedAt: null, meetingName: '' };
+
+// Summary of the transcript (see meeting-summary.js), null until requested
+let meetingSummary = null;
+
+// A summary is being generated
+let summaryPending = false;
+
+// What the translation window shows for each utterance (Config.BILINGUAL_DISPLAY_MODE)
+const BILINGUAL_MODES = [
+  { value: 'translation', label: 'Translation only' },
+  { value: 'stacked', label: 'Original + translation' },
+  { value: 'side-by-side', label: 'Side by side' }
+];
+
+// Markup of the translations window
+const WINDOW_CONTENT = `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>Teams Subtitle Translator</title>
+    <style>
+      body {
+        font-family: Arial, sans-serif;
+        padding: 0;
+        margin: 0;
+        height: 100vh;
+        display: flex;
+        flex-direction: column;
+        background-color: #f9f9f9;
+      }
+      header {
+        background-color: #0078d4;
+        color: white;
+        padding: 10px;
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: space-between;
+        align-items: center;
+        position: sticky;
+        top: 0;
+        z-index: 100;
+      }
+      h2 {
+        margin: 0;
+        font-size: 18px;
+      }
+      .tab-container {
+        display: flex;
+        background: #f0f0f0;
+        border-bottom: 1px solid #ddd;
+        position: sticky;
+        top: 42px;
+        z-index: 100;
+      }
+      .tab {
+        padding: 10px 15px;
+        cursor: pointer;
+        border-right: 1px solid #ddd;
+      }
+      .tab.active {
+        background: #fff;
+        font-weight: bold;
+        border-bottom: 2px solid #0078d4;
+      }
+      #main-container {
+        flex-grow: 1;
+        display: flex;
+        flex-direction: column;
+        overflow: hidden;
+      }
+      #subtitles-container {
+        flex-grow: 1;
+        overflow-y: auto;
+        padding: 15px;
+        background-color: white;
+        scroll-behavior: smooth;
+      }
+      #summary-container {
+        flex-grow: 1;
+        overflow-y: auto;
+        padding: 15px;
+        background-color: white;
+        display: none;
+      }
+      .summary-toolbar {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        margin-bottom: 10px;
+        font-size: 12px;
+        color: #666;
+      }
+      #summary-content h3 {
+        font-size: 14px;
+        margin: 15px 0 5px;
+        color: #0078d4;
+      }
+      #summary-content ul {
+        margin: 0;
+        padding-left: 20px;
+        font-size: 14px;
+        line-height: 1.4;
+      }
+      #summary-content .empty {
+        color: #888;
+        font-style: italic;
+      }
+      #debug-container {
+        flex-grow: 1;
+        overflow-y: auto;
+        padding: 15px;
+        background-color: white;
+        font-family: monospace;
+        font-size: 12px;
+        display: none;
+      }
+      .speaker-block {
+        margin-bottom: 20px;
+        border-left: 3px solid #0078d4;
+        padding-left: 10px;
+      }
+      .speaker-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        margin-bottom: 5px;
+      }
+      .speaker-name {
+        font-weight: bold;
+        color: #0078d4;
+        display: flex;
+        align-items: center;
+      }
+      .speaker-controls {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        font-size: 11px;
+        color: #666;
+      }
+      .speaker-controls select {
+        font-size: 11px;
+        padding: 1px 2px;
+      }
+      .speaker-block.untranslated .speaker-name {
+        opacity: 0.6;
+      }
+      .speaker-avatar {
+        width: 24px;
+        height: 24px;
+        border-radius: 50%;
+        background-color: #0078d4;
+        margin-right: 8px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        color: white;
+        font-size: 12px;
+        font-weight: bold;
+        overflow: hidden;
+      }
+      .utterances-container {
+        margin-top: 5px;
+      }
+      .utterance {
+        margin-bottom: 10px;
+        padding: 10px;
+        background-color: #f9f9f9;
+        border-radius: 5px;
+        border: 1px solid #eee;
+        transition: background-color 0.3s ease, border-color 0.3s ease;
+        animation: fadeIn 0.3s ease;
+      }
+      .utterance.active {
+        background-color: #f0f7ff;
+        border-color: #0078d4;
+        animation: pulse 2s infinite;
+      }
+      @keyframes pulse {
+        0% {
+          border-color: #0078d4;
+        }
+        50% {
+          border-color: #66b0ff;
+        }
+        100% {
+          border-color: #0078d4;
+        }
+      }
+      @keyframes fadeIn {
+        from { opacity: 0; transform: translateY(5px); }
+        to { opacity: 1; transform: translateY(0); }
+      }
+      .utterance-text {
+        font-size: 15px;
+        line-height: 1.4;
+      }
+      .original-text {
+        display: none;
+        font-size: 13px;
+        line-height: 1.4;
+        color: #666;
+      }
+      .mode-stacked .original-text {
+        display: block;
+        margin-bottom: 4px;
+        padding-bottom: 4px;
+        border-bottom: 1px dashed #e0e0e0;
+      }
+      .mode-side-by-side .utterance-body {
+        display: flex;
+        gap: 10px;
+      }
+      .mode-side-by-side .original-text {
+        display: block;
+        flex: 1;
+        min-width: 0;
+        padding-right: 10px;
+        border-right: 1px solid #e0e0e0;
+      }
+      .mode-side-by-side .translation-columns {
+        flex: 1;
+        min-width: 0;
+      }
+      .translation-columns {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+        gap: 10px;
+      }
+      .translation-column + .translation-column {
+        padding-left: 10px;
+        border-left: 1px solid #eee;
+      }
+      .column-label {
+        font-size: 10px;
+        font-weight: 600;
+        text-transform: uppercase;
+        color: #888;
+        margin-bottom: 2px;
+      }
+      .utterance-text.streaming::after {
+        content: "\\258D";
+        margin-left: 2px;
+        color: #0078d4;
+        animation: blink 1s steps(1) infinite;
+      }
+      @keyframes blink {
+        50% { opacity: 0; }
+      }
+      .glossary-badge {
+        display: inline-block;
+        margin-top: 5px;
+        padding: 1px 6px;
+        font-size: 11px;
+        color: #8a5300;
+        background-color: #fff4ce;
+        border: 1px solid #f7c948;
+        border-radius: 8px;
+        cursor: help;
+      }
+      .language-tag {
+        display: inline-block;
+        margin-left: 6px;
+        padding: 0 4px;
+        font-size: 10px;
+        font-weight: 600;
+        text-transform: uppercase;
+        color: #555;
+        background-color: #eee;
+        border-radius: 3px;
+      }
+      .timestamp {
+        font-size: 11px;
+        color: #888;
+        margin-top: 5px;
+        text-align: right;
+      }
+      .controls {
+        padding: 10px;
+        display: flex;
+        justify-content: space-between;
+        background: white;
+        border-top: 1px solid #ddd;
+        position: sticky;
+        bottom: 0;
+        z-index: 100;
+      }
+      .export-controls {
+        display: flex;
+        gap: 6px;
+      }
+      button {
+        padding: 8px 15px;
+        cursor: pointer;
+        background-color: #0078d4;
+        color: white;
+        border: none;
+        border-radius: 3px;
+        font-weight: bold;
+        transition: background-color 0.2s ease;
+      }
+      button:hover {
+        background-color: #106ebe;
+      }
+      .debug-entry {
+        color: #666;
+        margin-bottom: 3px;
+      }
+      .badge {
+        display: inline-block;
+        font-size: 11px;
+        padding: 2px 5px;
+        border-radius: 3px;
+        margin-left: 5px;
+        background-color: #f0f0f0;
+        color: #666;
+      }
+      .badge.active {
+        background-color: #0078d4;
+        color: white;
+      }
+      .header-controls {
+        margin-left: auto;
+        margin-right: 8px;
+        display: flex;
+        gap: 6px;
+      }
+      .header-controls select {
+        font-size: 12px;
+        padding: 2px 4px;
+        border: none;
+        border-radius: 3px;
+      }
+      .search-bar {
+        flex-basis: 100%;
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px;
+        margin-top: 8px;
+        font-size: 12px;
+      }
+      .search-bar input,
+      .search-bar select,
+      .search-bar button {
+        font-size: 12px;
+        padding: 2px 4px;
+        border: none;
+        border-radius: 3px;
+      }
+      #search-input {
+        flex: 1;
+        min-width: 120px;
+      }
+      .search-bar button {
+        cursor: pointer;
+      }
+      #search-count {
+        min-width: 60px;
+      }
+      .filtered-out {
+        display: none;
+      }
+      ::highlight(transcript-search-match) {
+        background-color: #fff3a0;
+      }
+      ::highlight(transcript-search-current) {
+        background-color: #ffb900;
+      }
+      .time-group-separator {
+        text-align: center;
+        margin: 20px 0;
+        border-bottom: 1px solid #ddd;
+        line-height: 0.1em;
+        color: #888;
+        font-size: 12px;
+      }
+      .time-group-separator span {
+        background: #fff;
+        padding: 0 10px;
+      }
+      #auto-scroll-toggle {
+        position: absolute;
+        right: 15px;
+        bottom: 60px;
+        z-index: 90;
+        display: flex;
+        align-items: center;
+        background: rgba(255,255,255,0.9);
+        padding: 5px 10px;
+        border-radius: 20px;
+        box-shadow: 0 2px 5px rgba(0,0,0,0.2);
+        cursor: pointer;
+        user-select: none;
+      }
+      .toggle-switch {
+        position: relative;
+        display: inline-block;
+        width: 40px;
+        height: 20px;
+        margin-left: 8px;
+      }
+      .toggle-switch input {
+        opacity: 0;
+        width: 0;
+        height: 0;
+      }
+      .toggle-slider {
+        position: absolute;
+        cursor: pointer;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background-color: #ccc;
+        transition: .4s;
+        border-radius: 34px;
+      }
+      .toggle-slider:before {
+        position: absolute;
+        content: "";
+        height: 16px;
+        width: 16px;
+        left: 2px;
+        bottom: 2px;
+        background-color: white;
+        transition: .4s;
+        border-radius: 50%;
+      }
+      input:checked + .toggle-slider {
+        background-color: #0078d4;
+      }
+      input:checked + .toggle-slider:before {
+        transform: translateX(20px);
+      }
+    </style>
+  </head>
+  <body>
+    <header>
+      <h2>Teams Subtitle Translator</h2>
+      <div class="header-controls">
+        <select id="bilingual-mode-select" title="What to show for each caption"></select>
+        <select id="pair-display-select" title="Language pair mode: language to show" hidden></select>
+      </div>
+      <span id="status-badge" class="badge active">Active</span>
+      <div class="search-bar">
+        <input type="search" id="search-input" placeholder="Search transcript" title="Enter: next match, Shift+Enter: previous match">
+        <span id="search-count"></span>
+        <button id="search-prev" title="Previous match">&#9650;</button>
+        <button id="search-next" title="Next match">&#9660;</button>
+        <select id="speaker-filter-select" title="Show one speaker"></select>
+        <label>From <input type="time" id="time-from-input"></label>
+        <label>to <input type="time" id="time-to-input"></label>
+      </div>
+    </header>
+    
+    <div class="tab-container">
+      <div id="translations-tab" class="tab active">Translations</div>
+      <div id="summary-tab" class="tab">Summary</div>
+      <div id="debug-tab" class="tab">Debug</div>
+    </div>
+    
+    <div id="main-container">
+      <div id="subtitles-container"></div>
+      <div id="summary-container">
+        <div class="summary-toolbar">
+          <button id="summarizeBtn">Summarize</button>
+          <span id="summary-status"></span>
+        </div>
+        <div id="summary-content"></div>
+      </div>
+      <div id="debug-container"></div>
+      
+      <div id="auto-scroll-toggle">
+        Auto-scroll
+        <label class="toggle-switch">
+          <input type="checkbox" id="auto-scroll-checkbox" checked>
+          <span class="toggle-slider"></span>
+        </label>
+      </div>
+    </div>
+    
+    <div class="controls">
+      <button id="clearBtn">Clear All</button>
+      <div class="export-controls">
+        <select id="export-format-select" title="Export format"></select>
+        <button id="exportBtn">Export</button>
+      </div>
+      <button id="copyBtn">Copy to Clipboard</button>
+    </div>
+  </body>
+  </html>
+`;
+
 /**
  * Open the translations window
+ * A Picture-in-Picture window opens asynchronously; until then (or if the browser
+ * doesn't support it) the regular popup window is used.
  * @param {Function} updateTranslationsDisplay - Function to update translations
+ * @param {Object} [options] - Window options
+ * @param {boolean} [options.pictureInPicture] - Use a Picture-in-Picture window
+ *   (kept for later reopens, the previous choice is used if omitted)
  * @returns {Window|null} - Reference to the popup window
  */
-function openTranslationsWindow(updateTranslationsDisplay) {
+function openTranslationsWindow(updateTranslationsDisplay, options = {}) {
   try {
+    // Switching between the popup and Picture-in-Picture replaces the open window
+    if (options.pictureInPicture !== undefined && options.pictureInPicture !== pictureInPictureRequested) {
+      pictureInPictureRequested = options.pictureInPicture;
+      if (isPopupAccessible() && isPictureInPictureWindow !== pictureInPictureRequested) {
+        closePopupWindow();
+        lastPopupCreationTime = 0;
+      }
+    }
+    
     // Prevent reopening too frequently
     const now = Date.now();
     if (now - lastPopupCreationTime < 3000) {
@@ -35,311 +575,12 @@ function openTranslationsWindow(updateTranslationsDisplay) {
     
     // Only create new window if needed
     if (!popupWindow || popupWindow.closed) {
-      popupWindow = window.open("", "TranslatedSubtitles", "width=600,height=500");
-      
-      if (!popupWindow) {
-        console.error("Popup window was blocked. Please allow popups for this site.");
-        return null;
-      }
-      
-      const popupContent = `
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-          <meta charset="UTF-8" />
-          <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-          <title>Teams Subtitle Translator</title>
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              padding: 0;
-              margin: 0;
-              height: 100vh;
-              display: flex;
-              flex-direction: column;
-              background-color: #f9f9f9;
-            }
-            header {
-              background-color: #0078d4;
-              color: white;
-              padding: 10px;
-              display: flex;
-              justify-content: space-between;
-              align-items: center;
-              position: sticky;
-              top: 0;
-              z-index: 100;
-            }
-            h2 {
-              margin: 0;
-              font-size: 18px;
-            }
-            .tab-container {
-              display: flex;
-              background: #f0f0f0;
-              border-bottom: 1px solid #ddd;
-              position: sticky;
-              top: 42px;
-              z-index: 100;
-            }
-            .tab {
-              padding: 10px 15px;
-              cursor: pointer;
-              border-right: 1px solid #ddd;
-            }
-            .tab.active {
-              background: #fff;
-              font-weight: bold;
-              border-bottom: 2px solid #0078d4;
-            }
-            #main-container {
-              flex-grow: 1;
-              display: flex;
-              flex-direction: column;
-              overflow: hidden;
-            }
-            #subtitles-container {
-              flex-grow: 1;
-              overflow-y: auto;
-              padding: 15px;
-              background-color: white;
-              scroll-behavior: smooth;
-            }
-            #debug-container {
-              flex-grow: 1;
-              overflow-y: auto;
-              padding: 15px;
-              background-color: white;
-              font-family: monospace;
-              font-size: 12px;
-              display: none;
-            }
-            .speaker-block {
-              margin-bottom: 20px;
-              border-left: 3px solid #0078d4;
-              padding-left: 10px;
-            }
-            .speaker-name {
-              font-weight: bold;
-              color: #0078d4;
-              margin-bottom: 5px;
-              display: flex;
-              align-items: center;
-            }
-            .speaker-avatar {
-              width: 24px;
-              height: 24px;
-              border-radius: 50%;
-              background-color: #0078d4;
-              margin-right: 8px;
-              display: flex;
-              align-items: center;
-              justify-content: center;
-              color: white;
-              font-size: 12px;
-              font-weight: bold;
-              overflow: hidden;
-            }
-            .utterances-container {
-              margin-top: 5px;
-            }
-            .utterance {
-              margin-bottom: 10px;
-              padding: 10px;
-              background-color: #f9f9f9;
-              border-radius: 5px;
-              border: 1px solid #eee;
-              transition: background-color 0.3s ease, border-color 0.3s ease;
-              animation: fadeIn 0.3s ease;
-            }
-            .utterance.active {
-              background-color: #f0f7ff;
-              border-color: #0078d4;
-              animation: pulse 2s infinite;
-            }
-            @keyframes pulse {
-              0% {
-                border-color: #0078d4;
-              }
-              50% {
-                border-color: #66b0ff;
-              }
-              100% {
-                border-color: #0078d4;
-              }
-            }
-            @keyframes fadeIn {
-              from { opacity: 0; transform: translateY(5px); }
-              to { opacity: 1; transform: translateY(0); }
-            }
-            .utterance-text {
-              font-size: 15px;
-              line-height: 1.4;
-            }
-            .timestamp {
-              font-size: 11px;
-              color: #888;
-              margin-top: 5px;
-              text-align: right;
-            }
-            .controls {
-              padding: 10px;
-              display: flex;
-              justify-content: space-between;
-              background: white;
-              border-top: 1px solid #ddd;
-              position: sticky;
-              bottom: 0;
-              z-index: 100;
-            }
-            button {
-              padding: 8px 15px;
-              cursor: pointer;
-              background-color: #0078d4;
-              color: white;
-              border: none;
-              border-radius: 3px;
-              font-weight: bold;
-              transition: background-color 0.2s ease;
-            }
-            button:hover {
-              background-color: #106ebe;
-            }
-            .debug-entry {
-              color: #666;
-              margin-bottom: 3px;
-            }
-            .badge {
-              display: inline-block;
-              font-size: 11px;
-              padding: 2px 5px;
-              border-radius: 3px;
-              margin-left: 5px;
-              background-color: #f0f0f0;
-              color: #666;
-            }
-            .badge.active {
-              background-color: #0078d4;
-              color: white;
-            }
-            .time-group-separator {
-              text-align: center;
-              margin: 20px 0;
-              border-bottom: 1px solid #ddd;
-              line-height: 0.1em;
-              color: #888;
-              font-size: 12px;
-            }
-            .time-group-separator span {
-              background: #fff;
-              padding: 0 10px;
-            }
-            #auto-scroll-toggle {
-              position: absolute;
-              right: 15px;
-              bottom: 60px;
-              z-index: 90;
-              display: flex;
-              align-items: center;
-              background: rgba(255,255,255,0.9);
-              padding: 5px 10px;
-              border-radius: 20px;
-              box-shadow: 0 2px 5px rgba(0,0,0,0.2);
-              cursor: pointer;
-              user-select: none;
-            }
-            .toggle-switch {
-              position: relative;
-              display: inline-block;
-              width: 40px;
-              height: 20px;
-              margin-left: 8px;
-            }
-            .toggle-switch input {
-              opacity: 0;
-              width: 0;
-              height: 0;
-            }
-            .toggle-slider {
-              position: absolute;
-              cursor: pointer;
-              top: 0;
-              left: 0;
-              right: 0;
-              bottom: 0;
-              background-color: #ccc;
-              transition: .4s;
-              border-radius: 34px;
-            }
-            .toggle-slider:before {
-              position: absolute;
-              content: "";
-              height: 16px;
-              width: 16px;
-              left: 2px;
-              bottom: 2px;
-              background-color: white;
-              transition: .4s;
-              border-radius: 50%;
-            }
-            input:checked + .toggle-slider {
-              background-color: #0078d4;
-            }
-            input:checked + .toggle-slider:before {
-              transform: translateX(20px);
-            }
-          </style>
-        </head>
-        <body>
-          <header>
-            <h2>Teams Subtitle Translator</h2>
-            <span id="status-badge" class="badge active">Active</span>
-          </header>
-          
-          <div class="tab-container">
-            <div id="translations-tab" class="tab active">Translations</div>
-            <div id="debug-tab" class="tab">Debug</div>
-          </div>
-          
-          <div id="main-container">
-            <div id="subtitles-container"></div>
-            <div id="debug-container"></div>
-            
-            <div id="auto-scroll-toggle">
-              Auto-scroll
-              <label class="toggle-switch">
-                <input type="checkbox" id="auto-scroll-checkbox" checked>
-                <span class="toggle-slider"></span>
-              </label>
-            </div>
-          </div>
-          
-          <div class="controls">
-            <button id="clearBtn">Clear All</button>
-            <button id="copyBtn">Copy to Clipboard</button>
-          </div>
-        </body>
-        </html>
-      `;
-      
-      popupWindow.document.open();
-      popupWindow.document.write(popupContent);
-      popupWindow.document.close();
-      
-      // Give window time to initialize
-      clearTimeout(popupInitTimeout);
-      popupInitTimeout = setTimeout(() => {
-        setupPopupEventListeners(updateTranslationsDisplay);
-        debugLog("Popup event listeners setup complete");
-        
-        // Force an initial update
-        updateTranslationsDisplay({}, {});
-      }, 300);
-      
-      // Start checking the popup window status
-      startPopupCheck(updateTranslationsDisplay);
+      if (pictureInPictureRequested && isPictureInPictureSupported()) {
+        openPictureInPictureWindow(updateTranslationsDisplay);
+        return popupWindow;
+      }
       
-      debugLog("Popup window opened successfully");
+      openPopupWindow(updateTranslationsDisplay);
     }
     
     return popupWindow;
@@ -349,51 +590,182 @@ function openTranslationsWindow(updateTranslationsDisplay) {
   }
 }
 
+/**
+ * Open the translations window as a regular popup window
+ * @param {Function} updateTranslationsDisplay - Function to update translations
+ */
+function openPopupWindow(updateTranslationsDisplay) {
+  popupWindow = window.open("", "TranslatedSubtitles", "width=600,height=500");
+  isPictureInPictureWindow = false;
+  
+  if (!popupWindow) {
+    console.error("Popup window was blocked. Please allow popups for this site.");
+    return;
+  }
+  
+  popupWindow.document.open();
+  popupWindow.document.write(WINDOW_CONTENT);
+  popupWindow.document.close();
+  surface = createWindowSurface(popupWindow);
+  
+  initializeWindow(updateTranslationsDisplay);
+  
+  debugLog("Popup window opened successfully");
+}
+
+/**
+ * Check whether the browser supports Document Picture-in-Picture
+ * @returns {boolean} - True if documentPictureInPicture is available
+ */
+function isPictureInPictureSupported() {
+  return 'documentPictureInPicture' in window;
+}
+
+/**
+ * Open the translations window as an always-on-top Picture-in-Picture window
+ * Chrome only opens one after a user gesture in the page: without one the popup
+ * window is used, and the next click in the meeting switches to Picture-in-Picture.
+ * @param {Function} updateTranslationsDisplay - Function to update translations
+ * @returns {Promise<void>}
+ */
+async function openPictureInPictureWindow(updateTranslationsDisplay) {
+  if (pictureInPicturePending) return;
+  pictureInPicturePending = true;
+  
+  try {
+    const pipWindow = await window.documentPictureInPicture.requestWindow({ width: 600, height: 500 });
+    
+    // The Picture-in-Picture document can't be written, copy the parsed content instead
+    copyWindowContent(pipWindow.document);
+    
+    // Replace the fallback popup, if one is open
+    if (isPopupAccessible() && !isPictureInPictureWindow) {
+      closePopupWindow();
+    }
+    
+    popupWindow = pipWindow;
+    surface = createWindowSurface(pipWindow);
+    isPictureInPictureWindow = true;
+    initializeWindow(updateTranslationsDisplay);
+    
+    debugLog("Picture-in-Picture window opened successfully");
+  } catch (error) {
+    debugLog(`Picture-in-Picture window not available (${error.message}), using the popup window`);
+    
+    if (!isPopupAccessible()) {
+      openPopupWindow(updateTranslationsDisplay);
+    }
+    
+    if (error.name === 'NotAllowedError' && !pictureInPictureWaitingForGesture) {
+      pictureInPictureWaitingForGesture = true;
+      document.addEventListener('pointerdown', () => {
+        pictureInPictureWaitingForGesture = false;
+        if (pictureInPictureRequested && !isPictureInPictureWindow) {
+          openPictureInPictureWindow(updateTranslationsDisplay);
+        }
+      }, { once: true, capture: true });
+    }
+  } finally {
+    pictureInPicturePending = false;
+  }
+}
+
+/**
+ * Set up a newly opened translations window and keep it open
+ * @param {Function} updateTranslationsDisplay - Function to update translations
+ */
+function initializeWindow(updateTranslationsDisplay) {
+  // Give window time to initialize
+  clearTimeout(popupInitTimeout);
+  popupInitTimeout = setTimeout(() => {
+    setupPopupEventListeners(updateTranslationsDisplay);
+    debugLog("Popup event listeners setup complete");
+    
+    // Force an initial update
+    updateTranslationsDisplay({}, {});
+  }, 300);
+  
+  // Start checking the popup window status
+  startPopupCheck(updateTranslationsDisplay);
+}
+
 /**
  * Setup event listeners for the popup window
  * @param {Function} updateTranslationsDisplay - Function to update translations
  */
 function setupPopupEventListeners(updateTranslationsDisplay) {
-  if (!isPopupAccessible()) return;
+  if (!isSurfaceAccessible()) return;
   
   try {
     // Tab switching
-    const translationsTab = popupWindow.document.getElementById('translations-tab');
-    const debugTab = popupWindow.document.getElementById('debug-tab');
-    const subtitlesContainer = popupWindow.document.getElementById('subtitles-container');
-    const debugContainer = popupWindow.document.getElementById('debug-container');
-    
-    if (translationsTab && debugTab && subtitlesContainer && debugContainer) {
-      translationsTab.addEventListener('click', function() {
-        translationsTab.classList.add('active');
-        debugTab.classList.remove('active');
-        subtitlesContainer.style.display = 'block';
-        debugContainer.style.display = 'none';
+    const subtitlesContainer = surface.document.getElementById('subtitles-container');
+    const tabs = [
+      { tab: 'translations-tab', container: 'subtitles-container' },
+      { tab: 'summary-tab', container: 'summary-container' },
+      { tab: 'debug-tab', container: 'debug-container' }
+    ].map(ids => ({
+      tab: surface.document.getElementById(ids.tab),
+      container: surface.document.getElementById(ids.container)
+    })).filter(entry => entry.tab && entry.container);
+    
+    tabs.forEach(selected => {
+      selected.tab.addEventListener('click', function() {
+        tabs.forEach(entry => {
+          entry.tab.classList.toggle('active', entry === selected);
+          entry.container.style.display = entry === selected ? 'block' : 'none';
+        });
+      });
+    });
+    
+    // Meeting summary (the page hosting the window provides the provider requests)
+    const summarizeBtn = surface.document.getElementById('summarizeBtn');
+    if (summarizeBtn) {
+      summarizeBtn.hidden = typeof window.summarizeTranscript !== 'function';
+      summarizeBtn.addEventListener('click', requestSummary);
+      renderSummary();
+    }
+    
+    // Bilingual display mode
+    const bilingualModeSelect = surface.document.getElementById('bilingual-mode-select');
+    if (bilingualModeSelect) {
+      BILINGUAL_MODES.forEach(mode => {
+        const optionEl = surface.document.createElement('option');
+        optionEl.value = mode.value;
+        optionEl.textContent = mode.label;
+        bilingualModeSelect.appendChild(optionEl);
       });
       
-      debugTab.addEventListener('click', function() {
-        debugTab.classList.add('active');
-        translationsTab.classList.remove('active');
-        subtitlesContainer.style.display = 'none';
-        debugContainer.style.display = 'block';
+      bilingualModeSelect.addEventListener('change', function() {
+        saveWindowSetting('BILINGUAL_DISPLAY_MODE', bilingualModeSelect.value);
+        updateBilingualMode();
+      });
+      updateBilingualMode();
+    }
+    
+    // Pair mode display language
+    const pairDisplaySelect = surface.document.getElementById('pair-display-select');
+    if (pairDisplaySelect) {
+      pairDisplaySelect.addEventListener('change', function() {
+        saveWindowSetting('PAIR_DISPLAY_LANGUAGE', pairDisplaySelect.value);
       });
+      updateLanguagePairControl();
     }
     
     // Clear button
-    const clearBtn = popupWindow.document.getElementById('clearBtn');
+    const clearBtn = surface.document.getElementById('clearBtn');
     if (clearBtn) {
       clearBtn.addEventListener('click', function() {
         if (window.clearAllTranslations && typeof window.clearAllTranslations === 'function') {
-          // Reset our accumulated translations
-          accumulatedTranslations = {};
-          speakerDisplayOrder = [];
+          // Reset our accumulated translations and their summary
+          clearAccumulatedTranslations();
+          renderSummary();
           window.clearAllTranslations();
         }
       });
     }
     
     // Copy button
-    const copyBtn = popupWindow.document.getElementById('copyBtn');
+    const copyBtn = surface.document.getElementById('copyBtn');
     if (copyBtn) {
       copyBtn.addEventListener('click', function() {
         if (!subtitlesContainer) return;
@@ -401,14 +773,21 @@ function setupPopupEventListeners(updateTranslationsDisplay) {
         const text = Array.from(subtitlesContainer.querySelectorAll('.speaker-block')).map(block => {
           const speakerNameEl = block.querySelector('.speaker-name');
           const speaker = speakerNameEl ? speakerNameEl.textContent.trim() : 'Unknown';
-          const utterances = Array.from(block.querySelectorAll('.utterance-text')).map(u => u.textContent);
+          const utterances = Array.from(block.querySelectorAll('.utterance')).map(utteranceEl => {
+            const originalEl = utteranceEl.querySelector('.original-text');
+            const translations = Array.from(utteranceEl.querySelectorAll('.translation-column')).map(column => ({
+              lang: column.dataset.lang,
+              text: column.querySelector('.utterance-text').textContent
+            }));
+            return formatUtteranceText(originalEl ? originalEl.textContent : '', translations);
+          });
           return speaker + ':\n' + utterances.join('\n');
         }).join('\n\n');
         
-        popupWindow.navigator.clipboard.writeText(text)
+        surface.window.navigator.clipboard.writeText(text)
           .then(() => {
             // Show a temporary success message
-            const copyFeedback = popupWindow.document.createElement('div');
+            const copyFeedback = surface.document.createElement('div');
             copyFeedback.textContent = 'Copied to clipboard!';
             copyFeedback.style.position = 'fixed';
             copyFeedback.style.bottom = '60px';
@@ -422,7 +801,7 @@ function setupPopupEventListeners(updateTranslationsDisplay) {
             copyFeedback.style.opacity = '0';
             copyFeedback.style.transition = 'opacity 0.3s ease';
             
-            popupWindow.document.body.appendChild(copyFeedback);
+            surface.document.body.appendChild(copyFeedback);
             
             // Fade in
             setTimeout(() => {
@@ -433,7 +812,7 @@ function setupPopupEventListeners(updateTranslationsDisplay) {
             setTimeout(() => {
               copyFeedback.style.opacity = '0';
               setTimeout(() => {
-                popupWindow.document.body.removeChild(copyFeedback);
+                surface.document.body.removeChild(copyFeedback);
               }, 300);
             }, 2000);
           })
@@ -441,8 +820,24 @@ function setupPopupEventListeners(updateTranslationsDisplay) {
       });
     }
     
+    // Export menu
+    const exportFormatSelect = surface.document.getElementById('export-format-select');
+    const exportBtn = surface.document.getElementById('exportBtn');
+    if (exportFormatSelect && exportBtn) {
+      EXPORT_FORMATS.forEach(format => {
+        const optionEl = surface.document.createElement('option');
+        optionEl.value = format.value;
+        optionEl.textContent = format.label;
+        exportFormatSelect.appendChild(optionEl);
+      });
+      
+      exportBtn.addEventListener('click', function() {
+        downloadTranscript(exportFormatSelect.value);
+      });
+    }
+    
     // Auto-scroll toggle
-    const autoScrollCheckbox = popupWindow.document.getElementById('auto-scroll-checkbox');
+    const autoScrollCheckbox = surface.document.getElementById('auto-scroll-checkbox');
     if (autoScrollCheckbox) {
       autoScrollCheckbox.addEventListener('change', function() {
         const shouldAutoScroll = autoScrollCheckbox.checked;
@@ -459,7 +854,7 @@ function setupPopupEventListeners(updateTranslationsDisplay) {
       let userHasScrolled = false;
       
       subtitlesContainer.addEventListener('wheel', function() {
-        const autoScrollCheckbox = popupWindow.document.getElementById('auto-scroll-checkbox');
+        const autoScrollCheckbox = surface.document.getElementById('auto-scroll-checkbox');
         if (!autoScrollCheckbox) return;
         
         // Get scroll position info
@@ -480,7 +875,7 @@ function setupPopupEventListeners(updateTranslationsDisplay) {
       
       // Also handle scroll events from scrollbar dragging
       subtitlesContainer.addEventListener('scroll', function() {
-        const autoScrollCheckbox = popupWindow.document.getElementById('auto-scroll-checkbox');
+        const autoScrollCheckbox = surface.document.getElementById('auto-scroll-checkbox');
         if (!autoScrollCheckbox) return;
         
         // Get scroll position info
@@ -500,6 +895,9 @@ function setupPopupEventListeners(updateTranslationsDisplay) {
       });
     }
     
+    // Search box and filters
+    setupTranscriptSearch(surface.document);
+    
     // Setup scroll handling for both containers
     setupDebugScrollHandling();
     
@@ -521,17 +919,62 @@ function isPopupAccessible() {
   }
 }
 
+/**
+ * Check if the display surface can be rendered into
+ * @returns {boolean} - True if the surface is open
+ */
+function isSurfaceAccessible() {
+  try {
+    return Boolean(surface && !surface.window.closed && surface.document.body);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Create the display surface of a window opened from this page
+ * @param {Window} targetWindow - Popup or Picture-in-Picture window
+ * @returns {Object} - Display surface
+ */
+function createWindowSurface(targetWindow) {
+  return { window: targetWindow, document: targetWindow.document, getLogs: getDebugLogs };
+}
+
+/**
+ * Copy the translations window markup into a document that can't be written
+ * @param {Document} targetDocument - Picture-in-Picture or extension page document
+ */
+function copyWindowContent(targetDocument) {
+  const parsed = new DOMParser().parseFromString(WINDOW_CONTENT, 'text/html');
+  targetDocument.title = parsed.title;
+  targetDocument.head.innerHTML = parsed.head.innerHTML;
+  targetDocument.body.innerHTML = parsed.body.innerHTML;
+}
+
+/**
+ * Render the translations window into a page of its own (the side panel)
+ * instead of a window opened from the Teams page
+ * @param {Window} targetWindow - Window of the page
+ * @param {Function} updateTranslationsDisplay - Function to update translations
+ * @param {Function} getLogs - Returns the debug log entries to show
+ */
+function attachDisplaySurface(targetWindow, updateTranslationsDisplay, getLogs) {
+  copyWindowContent(targetWindow.document);
+  surface = { window: targetWindow, document: targetWindow.document, getLogs };
+  setupPopupEventListeners(updateTranslationsDisplay);
+}
+
 /**
  * Update debug logs in the popup window
  */
 function updateDebugLogs() {
-  if (!isPopupAccessible()) return;
+  if (!isSurfaceAccessible()) return;
   
   try {
-    const debugContainer = popupWindow.document.getElementById('debug-container');
+    const debugContainer = surface.document.getElementById('debug-container');
     if (debugContainer) {
       // Get logs
-      const logs = getDebugLogs();
+      const logs = surface.getLogs();
       
       // Only update if there are logs
       if (logs.length === 0) return;
@@ -540,10 +983,10 @@ function updateDebugLogs() {
       debugContainer.innerHTML = '';
       
       // Add logs as a batch
-      const fragment = popupWindow.document.createDocumentFragment();
+      const fragment = surface.document.createDocumentFragment();
       
       for (const log of logs) {
-        const logDiv = popupWindow.document.createElement('div');
+        const logDiv = surface.document.createElement('div');
         logDiv.className = 'debug-entry';
         logDiv.textContent = log;
         fragment.appendChild(logDiv);
@@ -552,7 +995,7 @@ function updateDebugLogs() {
       debugContainer.appendChild(fragment);
       
       // Check if auto-scroll is enabled
-      const autoScrollCheckbox = popupWindow.document.getElementById('auto-scroll-checkbox');
+      const autoScrollCheckbox = surface.document.getElementById('auto-scroll-checkbox');
       const shouldAutoScroll = autoScrollCheckbox && autoScrollCheckbox.checked;
       
       // Auto-scroll to bottom only if enabled
@@ -600,7 +1043,7 @@ function stopPopupCheck() {
  * @returns {HTMLElement} - Avatar element
  */
 function createSpeakerAvatar(speakerName) {
-  const avatar = popupWindow.document.createElement('div');
+  const avatar = surface.document.createElement('div');
   avatar.className = 'speaker-avatar';
   
   // Generate a consistent color based on the speaker name
@@ -620,23 +1063,488 @@ function createSpeakerAvatar(speakerName) {
   return avatar;
 }
 
+/**
+ * Create the language controls of a speaker header
+ * Changes are stored per speaker name and apply to the speaker's next captions.
+ * @param {HTMLElement} speakerBlock - Speaker block (marked when translation is off)
+ * @param {string} speakerName - Speaker name
+ * @returns {HTMLElement} - Controls element
+ */
+function createSpeakerControls(speakerBlock, speakerName) {
+  const preference = getSpeakerPreference(speakerName);
+  
+  const controls = surface.document.createElement('div');
+  controls.className = 'speaker-controls';
+  
+  // Language the speaker talks ("Meeting language" follows the selected input language)
+  const languageSelect = surface.document.createElement('select');
+  languageSelect.className = 'speaker-language';
+  languageSelect.title = `Language ${speakerName} speaks`;
+  [{ value: '', label: 'Meeting language' }, ...getLanguageOptions()].forEach(option => {
+    const optionEl = surface.document.createElement('option');
+    optionEl.value = option.value;
+    optionEl.textContent = option.label;
+    languageSelect.appendChild(optionEl);
+  });
+  languageSelect.value = preference.inputLang;
+  
+  // Opt the speaker out of translation
+  const translateLabel = surface.document.createElement('label');
+  translateLabel.title = `Translate ${speakerName}`;
+  const translateCheckbox = surface.document.createElement('input');
+  translateCheckbox.type = 'checkbox';
+  translateCheckbox.className = 'speaker-translate';
+  translateCheckbox.checked = preference.translate;
+  translateLabel.appendChild(translateCheckbox);
+  translateLabel.appendChild(surface.document.createTextNode('Translate'));
+  
+  speakerBlock.classList.toggle('untranslated', !preference.translate);
+  
+  languageSelect.addEventListener('change', () => {
+    setSpeakerPreference(speakerName, { inputLang: languageSelect.value }).catch(error => {
+      console.error("Error saving speaker language:", error);
+    });
+  });
+  
+  translateCheckbox.addEventListener('change', () => {
+    speakerBlock.classList.toggle('untranslated', !translateCheckbox.checked);
+    setSpeakerPreference(speakerName, { translate: translateCheckbox.checked }).catch(error => {
+      console.error("Error saving speaker translation setting:", error);
+    });
+  });
+  
+  controls.appendChild(languageSelect);
+  controls.appendChild(translateLabel);
+  
+  return controls;
+}
+
+/**
+ * Show, update or remove the badge for glossary terms a translation didn't respect
+ * @param {HTMLElement} utteranceEl - Utterance element
+ * @param {Object[]} missingTerms - Missing terms ({ source, target, outputLang })
+ */
+function updateGlossaryBadge(utteranceEl, missingTerms) {
+  let badge = utteranceEl.querySelector('.glossary-badge');
+  
+  if (!missingTerms || missingTerms.length === 0) {
+    if (badge) badge.remove();
+    return;
+  }
+  
+  if (!badge) {
+    badge = surface.document.createElement('span');
+    badge.className = 'glossary-badge';
+    
+    // Keep the badge between the text and the timestamp
+    utteranceEl.insertBefore(badge, utteranceEl.querySelector('.timestamp'));
+  }
+  
+  badge.textContent = `Glossary: ${missingTerms.length} term${missingTerms.length > 1 ? 's' : ''}`;
+  badge.title = 'Expected translations:\n' +
+    missingTerms.map(term => {
+      const language = term.outputLang && displayLanguages.length > 1 ? ` (${term.outputLang})` : '';
+      return `${term.source} → ${term.target}${language}`;
+    }).join('\n');
+}
+
+/**
+ * Show or update the tag with the detected source language next to the timestamp
+ * @param {HTMLElement} utteranceEl - Utterance element
+ * @param {string} [detectedLang] - Detected language code
+ */
+function updateLanguageTag(utteranceEl, detectedLang) {
+  const timeDiv = utteranceEl.querySelector('.timestamp');
+  if (!timeDiv) return;
+  
+  let tag = timeDiv.querySelector('.language-tag');
+  if (!detectedLang) {
+    if (tag) tag.remove();
+    return;
+  }
+  
+  if (!tag) {
+    tag = surface.document.createElement('span');
+    tag.className = 'language-tag';
+    tag.title = 'Detected language';
+    timeDiv.appendChild(tag);
+  }
+  
+  if (tag.textContent !== detectedLang) {
+    tag.textContent = detectedLang;
+  }
+}
+
+/**
+ * Show the pair mode display selector (hidden when pair mode is off)
+ */
+function updateLanguagePairControl() {
+  if (!isSurfaceAccessible()) return;
+  
+  const select = surface.document.getElementById('pair-display-select');
+  if (!select) return;
+  
+  const pair = getLanguagePair();
+  select.hidden = !pair;
+  if (!pair) return;
+  
+  const options = [
+    { value: '', label: 'Each in the other language' },
+    ...pair.map(lang => ({ value: lang, label: `All in ${getLanguageName(lang)}` }))
+  ];
+  
+  select.innerHTML = '';
+  options.forEach(option => {
+    const optionEl = surface.document.createElement('option');
+    optionEl.value = option.value;
+    optionEl.textContent = option.label;
+    select.appendChild(optionEl);
+  });
+  
+  const displayLang = (Config.PAIR_DISPLAY_LANGUAGE || '').trim().toLowerCase();
+  select.value = pair.includes(displayLang) ? displayLang : '';
+}
+
+/**
+ * Store a setting changed from the translation window header
+ * It applies right away; the stored setting keeps it for later meetings.
+ * @param {string} key - Config key
+ * @param {*} value - New value
+ */
+async function saveWindowSetting(key, value) {
+  Config[key] = value;
+  debugLog(`${key} set to "${value}" from the translation window`);
+  
+  try {
+    const stored = await getStoredSettings();
+    const result = await saveSettings({ ...stored, [key]: value });
+    if (!result.saved) {
+      debugLog(`Failed to save ${key}: ${Object.values(result.errors).join(', ')}`);
+    }
+  } catch (error) {
+    console.error(`Error saving ${key}:`, error);
+  }
+}
+
+/**
+ * Apply the bilingual display mode to the translation window
+ */
+function updateBilingualMode() {
+  if (!isSurfaceAccessible()) return;
+  
+  const mode = BILINGUAL_MODES.some(option => option.value === Config.BILINGUAL_DISPLAY_MODE)
+    ? Config.BILINGUAL_DISPLAY_MODE
+    : 'translation';
+  
+  const subtitlesContainer = surface.document.getElementById('subtitles-container');
+  if (subtitlesContainer) {
+    BILINGUAL_MODES.forEach(option => {
+      subtitlesContainer.classList.toggle(`mode-${option.value}`, option.value === mode);
+    });
+  }
+  
+  const select = surface.document.getElementById('bilingual-mode-select');
+  if (select && select.value !== mode) {
+    select.value = mode;
+  }
+  
+  // Shown or hidden originals change the matches
+  applyTranscriptSearch(surface.document);
+}
+
+/**
+ * Set the session the translation window shows, for exports
+ * @param {Object} info - { startedAt, meetingName }
+ */
+function setSessionInfo(info) {
+  sessionInfo = { ...sessionInfo, ...info };
+}
+
+/**
+ * Get the finished utterances of the window in the order they were spoken
+ * @returns {Object} - Transcript for exportTranscript
+ */
+function getTranscript() {
+  const utterances = Object.values(accumulatedTranslations)
+    .flatMap(speakerData => Object.values(speakerData.utterances))
+    .filter(utterance => !utterance.active && utterance.original)
+    .sort((a, b) => a.id - b.id)
+    .map(utterance => ({
+      id: utterance.id,
+      speaker: utterance.speaker,
+      speakerId: utterance.speakerId,
+      start: Number(utterance.id),
+      end: utterance.lastUpdated || Number(utterance.id),
+      original: utterance.original,
+      detectedLang: utterance.detectedLang,
+      translation: utterance.translated,
+      translatedLang: utterance.translatedLang,
+      translations: getTranslationColumns(utterance).map(column => ({ lang: column.lang, text: column.text })),
+      translationsByLang: utterance.translations
+    }));
+  
+  return {
+    meetingName: sessionInfo.meetingName,
+    startedAt: sessionInfo.startedAt || (utterances.length > 0 ? utterances[0].start : Date.now()),
+    utterances,
+    summary: meetingSummary
+  };
+}
+
+/**
+ * Show the meeting summary in the Summary tab
+ */
+function renderSummary() {
+  if (!isSurfaceAccessible()) return;
+  
+  const content = surface.document.getElementById('summary-content');
+  const status = surface.document.getElementById('summary-status');
+  const summarizeBtn = surface.document.getElementById('summarizeBtn');
+  if (!content || !status || !summarizeBtn) return;
+  
+  summarizeBtn.disabled = summaryPending;
+  summarizeBtn.textContent = meetingSummary ? 'Summarize again' : 'Summarize';
+  content.innerHTML = '';
+  
+  if (!meetingSummary) {
+    if (!summaryPending) {
+      status.textContent = summarizeBtn.hidden
+        ? 'Summaries are created in the translation window during the meeting.'
+        : 'Summarize the transcript: key points, decisions, action items and open questions.';
+    }
+    return;
+  }
+  
+  if (!summaryPending) {
+    const time = new Date(meetingSummary.generatedAt).toLocaleTimeString();
+    status.textContent = `Summary of ${meetingSummary.utteranceCount} utterances (${time})`;
+  }
+  
+  SUMMARY_SECTIONS.forEach(section => {
+    const heading = surface.document.createElement('h3');
+    heading.textContent = section.title;
+    content.appendChild(heading);
+    
+    const items = meetingSummary[section.key] || [];
+    if (items.length === 0) {
+      const empty = surface.document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = 'None';
+      content.appendChild(empty);
+      return;
+    }
+    
+    const list = surface.document.createElement('ul');
+    items.forEach(item => {
+      const itemEl = surface.document.createElement('li');
+      itemEl.textContent = formatSummaryItem(item);
+      list.appendChild(itemEl);
+    });
+    content.appendChild(list);
+  });
+}
+
+/**
+ * Summarize the transcript of the window with the session's provider
+ */
+function requestSummary() {
+  if (summaryPending || typeof window.summarizeTranscript !== 'function') return;
+  
+  summaryPending = true;
+  renderSummary();
+  surface.document.getElementById('summary-status').textContent = 'Summarizing...';
+  
+  window.summarizeTranscript(getTranscript())
+    .then(summary => {
+      meetingSummary = summary;
+      debugLog(`Summarized ${summary.utteranceCount} utterances`);
+    })
+    .catch(error => {
+      debugLog(`Summary failed: ${error.message}`);
+      if (isSurfaceAccessible()) {
+        const status = surface.document.getElementById('summary-status');
+        if (status) {
+          status.textContent = `Summary failed: ${error.message}`;
+        }
+      }
+    })
+    .finally(() => {
+      summaryPending = false;
+      renderSummary();
+    });
+}
+
+/**
+ * Download the transcript of the window as a file
+ * @param {string} format - Export format, see EXPORT_FORMATS
+ */
+function downloadTranscript(format) {
+  if (!isSurfaceAccessible()) return;
+  
+  try {
+    const file = exportTranscript(format, getTranscript());
+    downloadExport(surface.document, file);
+    debugLog(`Exported transcript as ${file.filename}`);
+  } catch (error) {
+    console.error("Error exporting transcript:", error);
+  }
+}
+
+/**
+ * Set the target languages shown as columns
+ * @param {string[]} languages - Output languages (the first one is the main translation)
+ */
+function setDisplayLanguages(languages) {
+  displayLanguages = languages.slice();
+  
+  // Existing utterance elements have the old columns
+  if (isSurfaceAccessible()) {
+    const subtitlesContainer = surface.document.getElementById('subtitles-container');
+    if (subtitlesContainer) {
+      subtitlesContainer.querySelectorAll('.translation-columns').forEach(columns => columns.remove());
+    }
+  }
+}
+
+/**
+ * Get the translation of an accumulated utterance for each displayed language
+ * @param {Object} utterance - Accumulated utterance
+ * @returns {Object[]} - { lang, text, streaming } per column
+ */
+function getTranslationColumns(utterance) {
+  // Before the languages are known, and in pair mode (the target changes per
+  // utterance), show the main translation only
+  if (displayLanguages.length === 0 || getLanguagePair()) {
+    return [{
+      lang: utterance.translatedLang || displayLanguages[0] || '',
+      text: utterance.translated,
+      streaming: utterance.streaming === true
+    }];
+  }
+  
+  return displayLanguages.map((lang, index) => {
+    const translations = utterance.translations || {};
+    const text = translations[lang] || (index === 0 ? utterance.translated : '') || "Translating...";
+    const streaming = index === 0 ? utterance.streaming === true : utterance.streamingLanguages[lang] === true;
+    
+    return { lang, text, streaming };
+  });
+}
+
+/**
+ * Get the element holding the original text and the translations of an utterance
+ * @param {HTMLElement} utteranceEl - Utterance element
+ * @returns {HTMLElement} - Utterance body (created on first use)
+ */
+function getUtteranceBody(utteranceEl) {
+  let bodyEl = utteranceEl.querySelector('.utterance-body');
+  
+  if (!bodyEl) {
+    bodyEl = surface.document.createElement('div');
+    bodyEl.className = 'utterance-body';
+    
+    const originalEl = surface.document.createElement('div');
+    originalEl.className = 'original-text';
+    originalEl.dir = 'auto';
+    bodyEl.appendChild(originalEl);
+    
+    // The body comes first, before the glossary badge and the timestamp
+    utteranceEl.insertBefore(bodyEl, utteranceEl.firstChild);
+  }
+  
+  return bodyEl;
+}
+
+/**
+ * Show the original caption of an utterance (visible in the bilingual modes)
+ * @param {HTMLElement} utteranceEl - Utterance element
+ * @param {Object} utterance - Accumulated utterance
+ */
+function updateOriginalText(utteranceEl, utterance) {
+  const originalEl = getUtteranceBody(utteranceEl).querySelector('.original-text');
+  
+  if (originalEl.textContent !== (utterance.original || "")) {
+    originalEl.textContent = utterance.original || "";
+  }
+}
+
+/**
+ * Create or update the translation columns of an utterance element
+ * @param {HTMLElement} utteranceEl - Utterance element
+ * @param {Object} utterance - Accumulated utterance
+ */
+function updateTranslationColumns(utteranceEl, utterance) {
+  const columns = getTranslationColumns(utterance);
+  const bodyEl = getUtteranceBody(utteranceEl);
+  let columnsEl = bodyEl.querySelector('.translation-columns');
+  
+  if (!columnsEl) {
+    columnsEl = surface.document.createElement('div');
+    columnsEl.className = 'translation-columns';
+    
+    columns.forEach(column => {
+      const columnEl = surface.document.createElement('div');
+      columnEl.className = 'translation-column';
+      columnEl.dataset.lang = column.lang;
+      
+      // Label the columns only when there is more than one
+      if (columns.length > 1) {
+        const label = surface.document.createElement('div');
+        label.className = 'column-label';
+        label.textContent = getLanguageName(column.lang);
+        columnEl.appendChild(label);
+      }
+      
+      const textDiv = surface.document.createElement('div');
+      textDiv.className = 'utterance-text';
+      columnEl.appendChild(textDiv);
+      
+      columnsEl.appendChild(columnEl);
+    });
+    
+    // The columns follow the original text
+    bodyEl.appendChild(columnsEl);
+  }
+  
+  const textDivs = columnsEl.querySelectorAll('.utterance-text');
+  columns.forEach((column, index) => {
+    const textDiv = textDivs[index];
+    if (!textDiv) return;
+    
+    // Update the text only if it has changed
+    if (textDiv.textContent !== column.text) {
+      textDiv.textContent = column.text || "";
+    }
+    
+    // Right-to-left languages (Arabic, Hebrew...) need the direction set;
+    // without a known language the browser picks it from the text
+    const dir = column.lang ? (isRtlLanguage(column.lang) ? 'rtl' : 'ltr') : 'auto';
+    if (textDiv.dir !== dir) {
+      textDiv.dir = dir;
+    }
+    
+    // Show a cursor while tokens are still arriving
+    textDiv.classList.toggle('streaming', column.streaming);
+  });
+}
+
 /**
  * Update the translations display in the popup window
  * @param {Object} translatedUtterances - Map of speaker IDs to arrays of utterances
  * @param {Object} activeSpeakers - Map of speaker IDs to active speakers
  */
 function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
-  if (!isPopupAccessible()) {
+  if (!isSurfaceAccessible()) {
     return;
   }
   
   try {
     // Get the subtitles container
-    const subtitlesContainer = popupWindow.document.getElementById('subtitles-container');
+    const subtitlesContainer = surface.document.getElementById('subtitles-container');
     if (!subtitlesContainer) return;
     
     // Check if auto-scroll is enabled
-    const autoScrollCheckbox = popupWindow.document.getElementById('auto-scroll-checkbox');
+    const autoScrollCheckbox = surface.document.getElementById('auto-scroll-checkbox');
     const shouldAutoScroll = autoScrollCheckbox && autoScrollCheckbox.checked;
     
     // Process finalized utterances and add them to accumulatedTranslations
@@ -674,8 +1582,14 @@ function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
           speakerId: speakerId,
           original: utterance.fullText || "",
           translated: utterance.translatedText || "Translating...",
+          translations: utterance.translations || {},
+          translatedLang: utterance.translatedLang,
+          streamingLanguages: {},
           timestamp: utterance.timestamp || new Date().toLocaleTimeString(),
+          lastUpdated: utterance.lastUpdated,
+          detectedLang: utterance.detectedLang,
           active: utterance.active === true,
+          missingTerms: utterance.missingTerms || [],
           avatar: utterance.avatar
         };
       }
@@ -711,8 +1625,14 @@ function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
         speakerId: speakerId,
         original: speaker.fullText,
         translated: speaker.translatedText || "Translating...",
+        translations: speaker.translations || {},
+        translatedLang: speaker.translatedLang,
+        streamingLanguages: speaker.streamingLanguages || {},
         timestamp: new Date().toLocaleTimeString(),
+        detectedLang: speaker.detectedLang,
         active: true,
+        streaming: speaker.streaming === true,
+        missingTerms: speaker.missingTerms || [],
         avatar: speaker.avatar
       };
     }
@@ -731,17 +1651,21 @@ function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
       utterances.sort((a, b) => a.id - b.id);
       
       // Get or create speaker block
-      let speakerBlock = popupWindow.document.getElementById(`speaker-${speakerId}`);
+      let speakerBlock = surface.document.getElementById(`speaker-${speakerId}`);
       const isNewSpeakerBlock = !speakerBlock;
       
       if (isNewSpeakerBlock) {
-        speakerBlock = popupWindow.document.createElement('div');
+        speakerBlock = surface.document.createElement('div');
         speakerBlock.className = 'speaker-block';
         speakerBlock.id = `speaker-${speakerId}`;
         speakerBlock.dataset.speakerId = speakerId;
+        speakerBlock.dataset.speakerName = speakerData.speaker;
         
-        // Create speaker name header with avatar
-        const speakerName = popupWindow.document.createElement('div');
+        // Create speaker header: name with avatar, and the speaker's language settings
+        const speakerHeader = surface.document.createElement('div');
+        speakerHeader.className = 'speaker-header';
+        
+        const speakerName = surface.document.createElement('div');
         speakerName.className = 'speaker-name';
         
         // Add avatar
@@ -749,13 +1673,15 @@ function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
         speakerName.appendChild(avatar);
         
         // Add name text
-        const nameText = popupWindow.document.createTextNode(speakerData.speaker);
+        const nameText = surface.document.createTextNode(speakerData.speaker);
         speakerName.appendChild(nameText);
         
-        speakerBlock.appendChild(speakerName);
+        speakerHeader.appendChild(speakerName);
+        speakerHeader.appendChild(createSpeakerControls(speakerBlock, speakerData.speaker));
+        speakerBlock.appendChild(speakerHeader);
         
         // Create utterances container
-        const utterancesContainer = popupWindow.document.createElement('div');
+        const utterancesContainer = surface.document.createElement('div');
         utterancesContainer.className = 'utterances-container';
         utterancesContainer.id = `utterances-${speakerId}`;
         speakerBlock.appendChild(utterancesContainer);
@@ -774,22 +1700,26 @@ function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
         
         if (isNewUtterance) {
           // Create new utterance element
-          utteranceEl = popupWindow.document.createElement('div');
+          utteranceEl = surface.document.createElement('div');
           utteranceEl.className = utterance.active ? 'utterance active' : 'utterance';
           utteranceEl.dataset.utteranceId = utteranceId;
           
-          // Utterance text
-          const textDiv = popupWindow.document.createElement('div');
-          textDiv.className = 'utterance-text';
-          textDiv.textContent = utterance.translated || "";
-          utteranceEl.appendChild(textDiv);
-          
           // Timestamp
-          const timeDiv = popupWindow.document.createElement('div');
+          const timeDiv = surface.document.createElement('div');
           timeDiv.className = 'timestamp';
           timeDiv.textContent = utterance.timestamp || "";
           utteranceEl.appendChild(timeDiv);
           
+          // Original caption and translation per target language
+          updateOriginalText(utteranceEl, utterance);
+          updateTranslationColumns(utteranceEl, utterance);
+          
+          // Detected source language
+          updateLanguageTag(utteranceEl, utterance.detectedLang);
+          
+          // Glossary warning
+          updateGlossaryBadge(utteranceEl, utterance.missingTerms);
+          
           // Add to container (at the correct position by time)
           let inserted = false;
           Array.from(utterancesContainer.querySelectorAll('.utterance')).some(existingUtterance => {
@@ -810,10 +1740,9 @@ function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
           }
         } else {
           // Update existing utterance text if it has changed
-          const textDiv = utteranceEl.querySelector('.utterance-text');
-          if (textDiv && textDiv.textContent !== utterance.translated) {
-            textDiv.textContent = utterance.translated || "";
-          }
+          updateOriginalText(utteranceEl, utterance);
+          updateTranslationColumns(utteranceEl, utterance);
+          updateLanguageTag(utteranceEl, utterance.detectedLang);
           
           // Update active state
           if (utterance.active) {
@@ -821,6 +1750,8 @@ function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
           } else {
             utteranceEl.classList.remove('active');
           }
+          
+          updateGlossaryBadge(utteranceEl, utterance.missingTerms);
         }
       });
       
@@ -830,6 +1761,9 @@ function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
       }
     }
     
+    // Filter and highlight the new and updated utterances
+    applyTranscriptSearch(surface.document);
+    
     // Auto-scroll if enabled
     if (shouldAutoScroll) {
       subtitlesContainer.scrollTop = subtitlesContainer.scrollHeight;
@@ -848,10 +1782,10 @@ function updateTranslationsDisplay(translatedUtterances, activeSpeakers) {
  * @param {boolean} isActive - Whether translation is active
  */
 function setTranslationStatus(isActive) {
-  if (!isPopupAccessible()) return;
+  if (!isSurfaceAccessible()) return;
   
   try {
-    const statusBadge = popupWindow.document.getElementById('status-badge');
+    const statusBadge = surface.document.getElementById('status-badge');
     if (statusBadge) {
       statusBadge.textContent = isActive ? 'Active' : 'Inactive';
       statusBadge.className = isActive ? 'badge active' : 'badge';
@@ -867,10 +1801,13 @@ function setTranslationStatus(isActive) {
 function clearAccumulatedTranslations() {
   accumulatedTranslations = {};
   speakerDisplayOrder = [];
+  meetingSummary = null;
 }
 
 /**
  * Close popup window
+ * The transcript and summary are kept for the next window (switching between the
+ * popup and Picture-in-Picture closes it too), clearAccumulatedTranslations() drops them.
  */
 function closePopupWindow() {
   if (popupWindow && !popupWindow.closed) {
@@ -882,20 +1819,21 @@ function closePopupWindow() {
   }
   
   popupWindow = null;
-  clearAccumulatedTranslations();
+  surface = null;
+  isPictureInPictureWindow = false;
 }
 
 // Add debug container scroll handling
 function setupDebugScrollHandling() {
-  if (!isPopupAccessible()) return;
+  if (!isSurfaceAccessible()) return;
   
   try {
-    const debugContainer = popupWindow.document.getElementById('debug-container');
+    const debugContainer = surface.document.getElementById('debug-container');
     if (debugContainer) {
       let userHasScrolled = false;
       
       debugContainer.addEventListener('wheel', function() {
-        const autoScrollCheckbox = popupWindow.document.getElementById('auto-scroll-checkbox');
+        const autoScrollCheckbox = surface.document.getElementById('auto-scroll-checkbox');
         if (!autoScrollCheckbox) return;
         
         // Get scroll position info
@@ -916,7 +1854,7 @@ function setupDebugScrollHandling() {
       
       // Also handle scroll events from scrollbar dragging
       debugContainer.addEventListener('scroll', function() {
-        const autoScrollCheckbox = popupWindow.document.getElementById('auto-scroll-checkbox');
+        const autoScrollCheckbox = surface.document.getElementById('auto-scroll-checkbox');
         if (!autoScrollCheckbox) return;
         
         // Get scroll position info
@@ -942,10 +1880,15 @@ function setupDebugScrollHandling() {
 
 export {
   openTranslationsWindow,
+  attachDisplaySurface,
   updateTranslationsDisplay,
   updateDebugLogs,
   setTranslationStatus,
   stopPopupCheck,
   closePopupWindow,
-  clearAccumulatedTranslations
+  clearAccumulatedTranslations,
+  setDisplayLanguages,
+  setSessionInfo,
+  updateLanguagePairControl,
+  updateBilingualMode
 };
\ No newline at end of file
@@ -0,0 +1,150 @@
+// Prompt builder
+// Builds the chat messages for LLM providers from the system prompt, the
+// conversation context (previous finalized utterances with their translations)
+// and the glossary terms found in the text
+import Config from './config.js';
+import { hasPlaceholders } from './entity-masking.js';
+import { AUTO_DETECT, getLanguageCode, getLanguageName } from './languages.js';
+
+// Used in place of the input language when it is still "auto" (not detected yet)
+const UNKNOWN_SOURCE_LANGUAGE = 'the language of the text';
+
+// Added when protected entities were replaced with placeholders
+const PLACEHOLDER_INSTRUCTION = 'The text and context may contain placeholders like [[1]]; the same placeholder always stands for the same name or term. Copy every placeholder of the text unchanged to the matching place in the translation.';
+
+/**
+ * Keep the most recent context utterances that fit the context budget
+ * @param {Object[]} [context] - Previous utterances ({ speaker, original, translated }), oldest first
+ * @returns {Object[]} - Utterances to send, oldest first
+ */
+function limitContext(context) {
+  if (!Array.isArray(context) || context.length === 0) return [];
+  
+  const limited = [];
+  let length = 0;
+  
+  for (let i = context.length - 1; i >= 0; i--) {
+    const utterance = context[i];
+    length += (utterance.original || '').length + (utterance.translated || '').length;
+    if (length > Config.TRANSLATION_CONTEXT_MAX_CHARS) break;
+    
+    limited.unshift(utterance);
+  }
+  
+  return limited;
+}
+
+/**
+ * Format context utterances as a transcript
+ * @param {Object[]} context - Previous utterances, oldest first
+ * @returns {string} - One "Speaker: original" line per utterance, followed by its translation
+ */
+function formatContext(context) {
+  return context.map(utterance => {
+    const speaker = utterance.speaker || 'Unknown';
+    const lines = [`${speaker}: ${utterance.original}`];
+    
+    if (utterance.translated) {
+      lines.push(`  Translation: ${utterance.translated}`);
+    }
+    
+    return lines.join('\n');
+  }).join('\n');
+}
+
+/**
+ * Format glossary terms as a list
+ * @param {Object[]} glossary - Terms ({ source, target })
+ * @returns {string} - One "- term → translation" line per term
+ */
+function formatGlossary(glossary) {
+  return glossary.map(entry => `- ${entry.source} → ${entry.target}`).join('\n');
+}
+
+/**
+ * Build the system prompt for a translation request
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {Object} [options] - Prompt options
+ * @param {Object[]} [options.context] - Previous utterances, oldest first
+ * @param {Object[]} [options.glossary] - Glossary terms found in the text
+ * @param {boolean} [options.placeholders] - Whether the text contains placeholders
+ * @returns {string} - System prompt
+ */
+function buildSystemPrompt(inputLang, outputLang, options = {}) {
+  const sections = [
+    Config.TRANSLATION_SYSTEM_PROMPT
+      .replace("{inputLang}", getLanguageCode(inputLang) === AUTO_DETECT ? UNKNOWN_SOURCE_LANGUAGE : getLanguageName(inputLang))
+      .replace("{outputLang}", getLanguageName(outputLang))
+  ];
+  
+  if (options.placeholders) {
+    sections.push(PLACEHOLDER_INSTRUCTION);
+  }
+  
+  if (Array.isArray(options.glossary) && options.glossary.length > 0) {
+    sections.push(Config.TRANSLATION_GLOSSARY_PROMPT.replace("{terms}", formatGlossary(options.glossary)));
+  }
+  
+  const limitedContext = limitContext(options.context);
+  if (limitedContext.length > 0) {
+    sections.push(Config.TRANSLATION_CONTEXT_PROMPT.replace("{context}", formatContext(limitedContext)));
+  }
+  
+  return sections.join('\n\n');
+}
+
+/**
+ * Build chat-completion messages for a translation request
+ * @param {string} text - Text to translate
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {Object} [options] - Prompt options (see buildSystemPrompt)
+ * @returns {Object[]} - Chat messages
+ */
+function buildTranslationMessages(text, inputLang, outputLang, options) {
+  return [
+    {
+      role: "system",
+      content: buildSystemPrompt(inputLang, outputLang, {
+        ...options,
+        placeholders: hasPlaceholders(text) || limitContext(options && options.context)
+          .some(utterance => hasPlaceholders(utterance.original) || hasPlaceholders(utterance.translated))
+      })
+    },
+    {
+      role: "user",
+      content: text
+    }
+  ];
+}
+
+/**
+ * Build chat-completion messages for a meeting summary request
+ * @param {string} text - Transcript lines, or partial summaries (JSON) to merge
+ * @param {string} outputLang - Language of the summary
+ * @param {Object} [options] - Prompt options
+ * @param {boolean} [options.merge] - Whether the text holds partial summaries
+ * @returns {Object[]} - Chat messages
+ */
+function buildSummaryMessages(text, outputLang, options = {}) {
+  const prompt = options.merge ? Config.SUMMARY_MERGE_PROMPT : Config.SUMMARY_PROMPT;
+  
+  return [
+    {
+      role: "system",
+      content: prompt.replace("{outputLang}", getLanguageName(outputLang))
+    },
+    {
+      role: "user",
+      content: text
+    }
+  ];
+}
+
+export {
+  limitContext,
+  buildSystemPrompt,
+  buildTranslationMessages,
+  buildSummaryMessages
+};
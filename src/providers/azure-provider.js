@@ -0,0 +1,95 @@
+// Azure Translator provider
+import Config from '../config.js';
+import { debugLog, fetchWithTimeout, createHttpError } from '../utils.js';
+import { AUTO_DETECT, getProviderLanguageCode } from '../languages.js';
+import { getCredential } from '../credentials.js';
+
+/**
+ * Build request headers for Azure Translator
+ * @returns {Object} - Request headers
+ */
+function getHeaders() {
+  const headers = {
+    "Content-Type": "application/json",
+    "Ocp-Apim-Subscription-Key": getCredential("AZURE_TRANSLATOR_KEY")
+  };
+  
+  // Regional (non-global) resources must send their region
+  if (Config.AZURE_TRANSLATOR_REGION) {
+    headers["Ocp-Apim-Subscription-Region"] = Config.AZURE_TRANSLATOR_REGION;
+  }
+  
+  return headers;
+}
+
+/**
+ * Translate text with Azure Translator
+ * @param {string} text - Text to translate
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} - Translated text
+ */
+async function translate(text, inputLang, outputLang, options = {}) {
+  const params = new URLSearchParams({
+    "api-version": "3.0",
+    to: getProviderLanguageCode(outputLang, 'azure', 'target')
+  });
+  
+  // Omitting "from" lets Azure detect the language itself
+  const sourceCode = getProviderLanguageCode(inputLang, 'azure', 'source');
+  if (sourceCode !== AUTO_DETECT) {
+    params.set("from", sourceCode);
+  }
+  
+  const response = await fetchWithTimeout(`${Config.AZURE_TRANSLATOR_ENDPOINT}/translate?${params}`, {
+    method: "POST",
+    headers: getHeaders(),
+    signal: options.signal,
+    body: JSON.stringify([{ Text: text }])
+  }, Config.API_TIMEOUT);
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw createHttpError("Azure response error", response, errorText);
+  }
+  
+  const data = await response.json();
+  
+  if (!Array.isArray(data) || !data[0] || !data[0].translations || !data[0].translations[0]) {
+    throw new Error("Invalid response structure from Azure Translator");
+  }
+  
+  return data[0].translations[0].text.trim();
+}
+
+/**
+ * Check that Azure Translator accepts the configured key
+ * @returns {Promise<boolean>} - True if the API is accessible
+ */
+async function checkConnection() {
+  // The languages endpoint doesn't validate keys, so translate a single word instead
+  const response = await fetchWithTimeout(`${Config.AZURE_TRANSLATOR_ENDPOINT}/translate?api-version=3.0&to=en`, {
+    method: "POST",
+    headers: getHeaders(),
+    body: JSON.stringify([{ Text: "ok" }])
+  }, Config.API_CHECK_TIMEOUT);
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    debugLog(`Azure check failed: ${response.status} ${response.statusText}. Details: ${errorText}`);
+    return false;
+  }
+  
+  return true;
+}
+
+const azureProvider = {
+  id: "azure",
+  name: "Azure Translator",
+  translate,
+  checkConnection
+};
+
+export default azureProvider;
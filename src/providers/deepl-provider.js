@@ -0,0 +1,98 @@
+// DeepL translation provider
+import Config from '../config.js';
+import { debugLog, fetchWithTimeout, createHttpError } from '../utils.js';
+import { AUTO_DETECT, getProviderLanguageCode } from '../languages.js';
+import { getCredential } from '../credentials.js';
+import { limitContext } from '../prompt-builder.js';
+
+/**
+ * Get the API host for the configured key (free keys end with ":fx")
+ * @returns {string} - DeepL API base URL
+ */
+function getApiUrl() {
+  return getCredential("DEEPL_API_KEY").endsWith(":fx")
+    ? "https://api-free.deepl.com/v2"
+    : "https://api.deepl.com/v2";
+}
+
+/**
+ * Translate text with the DeepL API
+ * @param {string} text - Text to translate
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Object[]} [options.context] - Previous utterances of the conversation
+ * @returns {Promise<string>} - Translated text
+ */
+async function translate(text, inputLang, outputLang, options = {}) {
+  const requestBody = {
+    text: [text],
+    target_lang: getProviderLanguageCode(outputLang, 'deepl', 'target')
+  };
+  
+  // DeepL uses the context to improve the translation but doesn't translate it
+  const context = limitContext(options.context);
+  if (context.length > 0) {
+    requestBody.context = context.map(utterance => utterance.original).join('\n');
+  }
+  
+  // Omitting source_lang lets DeepL detect the language itself
+  const sourceCode = getProviderLanguageCode(inputLang, 'deepl', 'source');
+  if (sourceCode !== AUTO_DETECT) {
+    requestBody.source_lang = sourceCode;
+  }
+  
+  const response = await fetchWithTimeout(`${getApiUrl()}/translate`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `DeepL-Auth-Key ${getCredential("DEEPL_API_KEY")}`
+    },
+    signal: options.signal,
+    body: JSON.stringify(requestBody)
+  }, Config.API_TIMEOUT);
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw createHttpError("DeepL response error", response, errorText);
+  }
+  
+  const data = await response.json();
+  
+  if (!data || !data.translations || !data.translations[0] || typeof data.translations[0].text !== 'string') {
+    throw new Error("Invalid response structure from DeepL");
+  }
+  
+  return data.translations[0].text.trim();
+}
+
+/**
+ * Check that the DeepL API is reachable with the configured key
+ * @returns {Promise<boolean>} - True if the API is accessible
+ */
+async function checkConnection() {
+  const response = await fetchWithTimeout(`${getApiUrl()}/usage`, {
+    method: "GET",
+    headers: {
+      "Authorization": `DeepL-Auth-Key ${getCredential("DEEPL_API_KEY")}`
+    }
+  }, Config.API_CHECK_TIMEOUT);
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    debugLog(`DeepL check failed: ${response.status} ${response.statusText}. Details: ${errorText}`);
+    return false;
+  }
+  
+  return true;
+}
+
+const deeplProvider = {
+  id: "deepl",
+  name: "DeepL",
+  translate,
+  checkConnection
+};
+
+export default deeplProvider;
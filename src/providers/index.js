@@ -0,0 +1,66 @@
+// Translation provider registry
+//
+// Every provider exposes the same interface:
+//   id, name                                   - identifier and display name
+//   translate(text, inputLang, outputLang, options)
+//                                              - resolves to the translated text; providers that
+//                                                stream call options.onPartial(textSoFar),
+//                                                options.signal cancels the request,
+//                                                options.context lists previous utterances
+//                                                ({ speaker, original, translated }) and
+//                                                options.glossary required terms ({ source, target })
+//                                                that providers may use to keep translations consistent
+//   checkConnection()                          - resolves to true if usable
+// and optionally:
+//   configure(options)                         - applies session settings
+//   getModel()                                 - model used for translations
+//   listModels()                               - resolves to the available model IDs
+//   summarize(text, outputLang, options)       - resolves to a meeting summary as JSON text
+//                                                (see meeting-summary.js), options.merge is
+//                                                set when the text holds partial summaries
+import Config from '../config.js';
+import { debugLog } from '../utils.js';
+import openaiProvider from './openai-provider.js';
+import deeplProvider from './deepl-provider.js';
+import azureProvider from './azure-provider.js';
+import libreTranslateProvider from './libretranslate-provider.js';
+
+const providers = {
+  [openaiProvider.id]: openaiProvider,
+  [deeplProvider.id]: deeplProvider,
+  [azureProvider.id]: azureProvider,
+  [libreTranslateProvider.id]: libreTranslateProvider
+};
+
+/**
+ * Get a provider by ID, falling back to the default provider
+ * @param {string} providerId - Provider ID
+ * @returns {Object} - Provider implementation
+ */
+function getProvider(providerId) {
+  if (providers[providerId]) {
+    return providers[providerId];
+  }
+  
+  if (providerId) {
+    debugLog(`Unknown translation provider "${providerId}", using ${Config.DEFAULT_PROVIDER}`);
+  }
+  
+  return providers[Config.DEFAULT_PROVIDER] || openaiProvider;
+}
+
+/**
+ * List all registered providers
+ * @returns {Array<{id: string, name: string}>} - Provider IDs and display names
+ */
+function getAvailableProviders() {
+  return Object.values(providers).map(provider => ({
+    id: provider.id,
+    name: provider.name
+  }));
+}
+
+export {
+  getProvider,
+  getAvailableProviders
+};
@@ -0,0 +1,84 @@
+// LibreTranslate provider (public instance or self-hosted server)
+import Config from '../config.js';
+import { debugLog, fetchWithTimeout, createHttpError } from '../utils.js';
+import { getProviderLanguageCode } from '../languages.js';
+import { getCredential } from '../credentials.js';
+
+/**
+ * Get the configured server URL without a trailing slash
+ * @returns {string} - LibreTranslate base URL
+ */
+function getApiUrl() {
+  return Config.LIBRETRANSLATE_URL.replace(/\/+$/, '');
+}
+
+/**
+ * Translate text with LibreTranslate
+ * @param {string} text - Text to translate
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} - Translated text
+ */
+async function translate(text, inputLang, outputLang, options = {}) {
+  const requestBody = {
+    q: text,
+    source: getProviderLanguageCode(inputLang, 'libretranslate', 'source'),
+    target: getProviderLanguageCode(outputLang, 'libretranslate', 'target'),
+    format: "text"
+  };
+  
+  if (getCredential("LIBRETRANSLATE_API_KEY")) {
+    requestBody.api_key = getCredential("LIBRETRANSLATE_API_KEY");
+  }
+  
+  const response = await fetchWithTimeout(`${getApiUrl()}/translate`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json"
+    },
+    signal: options.signal,
+    body: JSON.stringify(requestBody)
+  }, Config.API_TIMEOUT);
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw createHttpError("LibreTranslate response error", response, errorText);
+  }
+  
+  const data = await response.json();
+  
+  if (!data || typeof data.translatedText !== 'string') {
+    throw new Error("Invalid response structure from LibreTranslate");
+  }
+  
+  return data.translatedText.trim();
+}
+
+/**
+ * Check that the LibreTranslate server is reachable
+ * @returns {Promise<boolean>} - True if the server is accessible
+ */
+async function checkConnection() {
+  const response = await fetchWithTimeout(`${getApiUrl()}/languages`, {
+    method: "GET"
+  }, Config.API_CHECK_TIMEOUT);
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    debugLog(`LibreTranslate check failed: ${response.status} ${response.statusText}. Details: ${errorText}`);
+    return false;
+  }
+  
+  return true;
+}
+
+const libreTranslateProvider = {
+  id: "libretranslate",
+  name: "LibreTranslate",
+  translate,
+  checkConnection
+};
+
+export default libreTranslateProvider;
@@ -0,0 +1,353 @@
+// OpenAI chat-completions translation provider
+// Also works with self-hosted OpenAI-compatible servers (vLLM, llama.cpp server, Ollama)
+import Config from '../config.js';
+import {
+  debugLog,
+  fetchWithTimeout,
+  linkAbortSignal,
+  createHttpError,
+  createTimeoutError
+} from '../utils.js';
+import { getCredential } from '../credentials.js';
+import { buildTranslationMessages, buildSummaryMessages } from '../prompt-builder.js';
+
+// Session settings that override the Config defaults (only the model: the endpoint
+// and its headers always come from the worker's own settings and credentials)
+let settings = {};
+
+/**
+ * Parse custom headers given as "Name: value" lines
+ * @param {string} headers - Custom headers
+ * @returns {Object} - Header map
+ */
+function parseHeaders(headers) {
+  if (!headers) return {};
+  
+  const parsed = {};
+  for (const line of headers.split('\n')) {
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex <= 0) continue;
+    
+    const name = line.substring(0, separatorIndex).trim();
+    const value = line.substring(separatorIndex + 1).trim();
+    if (name) {
+      parsed[name] = value;
+    }
+  }
+  
+  return parsed;
+}
+
+/**
+ * Apply session settings for this provider
+ * @param {Object} options - Provider options
+ * @param {string} [options.model] - Model name (checked against listModels by the caller)
+ */
+function configure(options = {}) {
+  settings = {
+    model: options.model || ""
+  };
+}
+
+/**
+ * Get the endpoint base URL without a trailing slash
+ * @returns {string} - Base URL
+ */
+function getBaseUrl() {
+  return Config.OPENAI_BASE_URL.replace(/\/+$/, '');
+}
+
+/**
+ * Get the model used for translation
+ * @returns {string} - Model name
+ */
+function getModel() {
+  return settings.model || Config.MODEL_NAME;
+}
+
+/**
+ * Build request headers, including any custom auth headers
+ * @param {Object} extraHeaders - Request-specific headers
+ * @returns {Object} - Request headers
+ */
+function getHeaders(extraHeaders = {}) {
+  const headers = { ...extraHeaders };
+  
+  // Local servers usually run without a key
+  const apiKey = getCredential("OPENAI_API_KEY");
+  if (apiKey) {
+    headers["Authorization"] = `Bearer ${apiKey}`;
+  }
+  
+  // Custom headers win, so they can replace the Authorization header
+  return {
+    ...headers,
+    ...parseHeaders(getCredential("OPENAI_CUSTOM_HEADERS"))
+  };
+}
+
+/**
+ * Build the chat-completions request body
+ * @param {string} text - Text to translate
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {boolean} stream - Whether to request a streamed response
+ * @param {Object} [promptOptions] - Conversation context and glossary terms
+ * @returns {Object} - Request body
+ */
+function buildRequestBody(text, inputLang, outputLang, stream, promptOptions) {
+  return {
+    model: getModel(),
+    messages: buildTranslationMessages(text, inputLang, outputLang, promptOptions),
+    temperature: 0.3, // Lower temperature for more consistent translations
+    stream: stream
+  };
+}
+
+/**
+ * Run a chat completion without streaming
+ * @param {Object} body - Request body
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @param {number} timeout - Timeout (ms)
+ * @returns {Promise<string>} - Message content of the answer
+ */
+async function requestCompletion(body, signal, timeout) {
+  const response = await fetchWithTimeout(`${getBaseUrl()}/chat/completions`, {
+    method: "POST",
+    headers: getHeaders({ "Content-Type": "application/json" }),
+    signal,
+    body: JSON.stringify(body)
+  }, timeout);
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw createHttpError("API response error", response, errorText);
+  }
+  
+  const data = await response.json();
+  
+  // Verify that the response has the expected structure
+  if (!data || !data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
+    throw new Error("Invalid response structure from API");
+  }
+  
+  return data.choices[0].message.content.trim();
+}
+
+/**
+ * Translate text with an OpenAI chat completion
+ * @param {string} text - Text to translate
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {Object} [options] - Request options
+ * @param {Function} [options.onPartial] - Called with the text received so far when streaming
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Object[]} [options.context] - Previous utterances ({ speaker, original, translated })
+ * @param {Object[]} [options.glossary] - Glossary terms ({ source, target }) to use
+ * @returns {Promise<string>} - Translated text
+ */
+async function translate(text, inputLang, outputLang, options = {}) {
+  if (Config.STREAM_TRANSLATIONS && typeof options.onPartial === 'function') {
+    return translateStreaming(text, inputLang, outputLang, options);
+  }
+  
+  return requestCompletion(
+    buildRequestBody(text, inputLang, outputLang, false, options),
+    options.signal,
+    Config.API_TIMEOUT
+  );
+}
+
+/**
+ * Summarize a meeting transcript (or merge partial summaries)
+ * @param {string} text - Transcript lines, or partial summaries as JSON
+ * @param {string} outputLang - Language of the summary
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {boolean} [options.merge] - Whether the text holds partial summaries
+ * @returns {Promise<string>} - Summary as a JSON object
+ */
+async function summarize(text, outputLang, options = {}) {
+  return requestCompletion({
+    model: getModel(),
+    messages: buildSummaryMessages(text, outputLang, { merge: options.merge }),
+    temperature: 0.2
+  }, options.signal, Config.SUMMARY_TIMEOUT);
+}
+
+/**
+ * Translate text with a streamed (SSE) chat completion
+ * Uses an idle timeout instead of a total timeout, so long answers aren't cut off
+ * @param {string} text - Text to translate
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {Object} options - Request options
+ * @param {Function} options.onPartial - Called with the text received so far
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Object[]} [options.context] - Previous utterances of the conversation
+ * @param {Object[]} [options.glossary] - Glossary terms to use
+ * @returns {Promise<string>} - Translated text
+ */
+async function translateStreaming(text, inputLang, outputLang, options) {
+  const { onPartial, signal } = options;
+  const controller = new AbortController();
+  let idleTimeoutId = null;
+  let timedOut = false;
+  
+  // Restart the idle timer whenever data arrives
+  const resetIdleTimeout = () => {
+    clearTimeout(idleTimeoutId);
+    idleTimeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, Config.API_STREAM_IDLE_TIMEOUT);
+  };
+  
+  resetIdleTimeout();
+  const unlinkSignal = linkAbortSignal(signal, controller);
+  
+  try {
+    const response = await fetch(`${getBaseUrl()}/chat/completions`, {
+      method: "POST",
+      headers: getHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(buildRequestBody(text, inputLang, outputLang, true, options)),
+      signal: controller.signal
+    });
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw createHttpError("API response error", response, errorText);
+    }
+    
+    if (!response.body) {
+      throw new Error("Streaming is not supported by this response");
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let translatedText = "";
+    let isDone = false;
+    
+    while (!isDone) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      
+      resetIdleTimeout();
+      buffer += decoder.decode(value, { stream: true });
+      
+      // SSE events are separated by newlines; keep the incomplete tail in the buffer
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      
+      let hasNewContent = false;
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        
+        const payload = trimmed.substring(5).trim();
+        if (payload === '[DONE]') {
+          isDone = true;
+          break;
+        }
+        
+        try {
+          const chunk = JSON.parse(payload);
+          const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+          if (delta && delta.content) {
+            translatedText += delta.content;
+            hasNewContent = true;
+          }
+        } catch (e) {
+          debugLog(`Skipping malformed stream chunk: ${payload.substring(0, 40)}`);
+        }
+      }
+      
+      if (hasNewContent) {
+        onPartial(translatedText.trim());
+      }
+    }
+    
+    if (isDone) {
+      reader.cancel().catch(() => {});
+    }
+    
+    if (!translatedText.trim()) {
+      throw new Error("Empty streamed response from API");
+    }
+    
+    return translatedText.trim();
+  } catch (error) {
+    if (timedOut) {
+      throw createTimeoutError(Config.API_STREAM_IDLE_TIMEOUT);
+    }
+    throw error;
+  } finally {
+    clearTimeout(idleTimeoutId);
+    unlinkSignal();
+  }
+}
+
+/**
+ * List the models served by the endpoint
+ * @returns {Promise<string[]>} - Model IDs
+ */
+async function listModels() {
+  const response = await fetchWithTimeout(`${getBaseUrl()}/models`, {
+    method: "GET",
+    headers: getHeaders()
+  }, Config.API_CHECK_TIMEOUT);
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw createHttpError("Model list error", response, errorText);
+  }
+  
+  const data = await response.json();
+  
+  if (!data || !Array.isArray(data.data)) {
+    throw new Error("Invalid model list structure from API");
+  }
+  
+  return data.data
+    .map(model => model.id)
+    .filter(Boolean)
+    .sort();
+}
+
+/**
+ * Check that the endpoint is reachable and serves the configured model
+ * @returns {Promise<boolean>} - True if the API is accessible
+ */
+async function checkConnection() {
+  // Read settings up front: another session may reconfigure the provider while we wait
+  const model = getModel();
+  const baseUrl = getBaseUrl();
+  let models;
+  try {
+    models = await listModels();
+  } catch (error) {
+    debugLog(`API check failed: ${error.message}`);
+    return false;
+  }
+  
+  if (!models.includes(model)) {
+    debugLog(`API check failed: model "${model}" is not available at ${baseUrl}. Available: ${models.join(', ') || 'none'}`);
+    return false;
+  }
+  
+  return true;
+}
+
+const openaiProvider = {
+  id: "openai",
+  name: "OpenAI",
+  configure,
+  getModel,
+  translate,
+  summarize,
+  listModels,
+  checkConnection
+};
+
+export default openaiProvider;
@@ -0,0 +1,246 @@
+// Request scheduler
+// Runs provider requests with a global concurrency limit and per-speaker priority,
+// retries transient failures with jittered exponential backoff, honors Retry-After
+// on 429/503 and cancels requests superseded by a newer caption from the same speaker.
+import Config from './config.js';
+import { debugLog } from './utils.js';
+
+// HTTP statuses worth retrying
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Statuses whose Retry-After applies to every request, not just the failed one
+const THROTTLING_STATUSES = [429, 503];
+
+let queue = []; // Requests waiting for a free slot, highest priority first
+let pendingByKey = new Map(); // key -> request (queued, running or waiting to retry)
+let runningCount = 0;
+let pausedUntil = 0; // Requests don't start before this time (set by Retry-After)
+let resumeTimer = null;
+let nextSequence = 0;
+let speakerPriorities = {}; // key -> priority
+
+/**
+ * Create the error used to reject cancelled requests
+ * @param {string} reason - Why the request was cancelled
+ * @returns {Error} - AbortError
+ */
+function createAbortError(reason) {
+  const error = new Error(`Request cancelled: ${reason}`);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check whether a failed request should be retried
+ * @param {Error} error - Request error
+ * @returns {boolean} - True for timeouts, network errors and transient HTTP statuses
+ */
+function isRetryableError(error) {
+  if (!error || error.name === 'AbortError') return false;
+  
+  return error.timedOut === true ||
+    error.network === true ||
+    RETRYABLE_STATUSES.includes(error.status);
+}
+
+/**
+ * Get the delay before the next attempt
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Number of the retry (1 for the first retry)
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+  // Exponential backoff with jitter, so parallel requests don't retry in lockstep
+  const backoff = Math.min(Config.RETRY_MAX_DELAY, Config.RETRY_DELAY * Math.pow(2, attempt - 1));
+  const jittered = backoff / 2 + Math.random() * backoff / 2;
+  
+  // The server knows best when it will accept requests again
+  if (typeof error.retryAfter === 'number') {
+    return Math.max(error.retryAfter, jittered);
+  }
+  
+  return jittered;
+}
+
+/**
+ * Get the effective priority of a request
+ * @param {Object} request - Scheduled request
+ * @returns {number} - Priority (higher runs first)
+ */
+function getPriority(request) {
+  return request.priority + (speakerPriorities[request.group] || 0);
+}
+
+/**
+ * Add a request to the queue, keeping it ordered by priority and arrival
+ * @param {Object} request - Scheduled request
+ */
+function enqueue(request) {
+  queue.push(request);
+  queue.sort((a, b) => getPriority(b) - getPriority(a) || a.sequence - b.sequence);
+  processQueue();
+}
+
+/**
+ * Start queued requests while there are free slots
+ */
+function processQueue() {
+  const now = Date.now();
+  
+  if (now < pausedUntil) {
+    // Wait for the Retry-After pause to end
+    if (!resumeTimer) {
+      resumeTimer = setTimeout(() => {
+        resumeTimer = null;
+        processQueue();
+      }, pausedUntil - now);
+    }
+    return;
+  }
+  
+  while (queue.length > 0 && runningCount < Config.MAX_CONCURRENT_REQUESTS) {
+    startRequest(queue.shift());
+  }
+}
+
+/**
+ * Run a request and handle its outcome
+ * @param {Object} request - Scheduled request
+ */
+function startRequest(request) {
+  runningCount++;
+  request.controller = new AbortController();
+  
+  Promise.resolve()
+    .then(() => request.run(request.controller.signal))
+    .then(result => {
+      settleRequest(request);
+      request.resolve(result);
+    })
+    .catch(error => {
+      // Cancelled requests were already rejected
+      if (request.settled) return;
+      
+      if (isRetryableError(error) && request.attempt < Config.MAX_RETRIES) {
+        request.attempt++;
+        const delay = getRetryDelay(error, request.attempt);
+        
+        if (THROTTLING_STATUSES.includes(error.status) && typeof error.retryAfter === 'number') {
+          pausedUntil = Math.max(pausedUntil, Date.now() + error.retryAfter);
+          debugLog(`Provider asked to retry after ${error.retryAfter}ms, pausing requests`);
+        }
+        
+        debugLog(`Request for ${request.key} failed (${error.message}), retry ${request.attempt}/${Config.MAX_RETRIES} in ${Math.round(delay)}ms`);
+        request.retryTimer = setTimeout(() => {
+          request.retryTimer = null;
+          enqueue(request);
+        }, delay);
+        return;
+      }
+      
+      settleRequest(request);
+      request.reject(error);
+    })
+    .finally(() => {
+      runningCount--;
+      processQueue();
+    });
+}
+
+/**
+ * Mark a request as finished and forget it
+ * @param {Object} request - Scheduled request
+ */
+function settleRequest(request) {
+  request.settled = true;
+  clearTimeout(request.retryTimer);
+  
+  if (pendingByKey.get(request.key) === request) {
+    pendingByKey.delete(request.key);
+  }
+}
+
+/**
+ * Cancel a request wherever it is (queued, running or waiting to retry)
+ * @param {Object} request - Scheduled request
+ * @param {string} reason - Why the request is cancelled
+ */
+function cancelRequest(request, reason) {
+  if (request.settled) return;
+  
+  settleRequest(request);
+  queue = queue.filter(queued => queued !== request);
+  
+  if (request.controller) {
+    request.controller.abort();
+  }
+  
+  request.reject(createAbortError(reason));
+}
+
+/**
+ * Schedule a request
+ * A newer request with the same key cancels the previous one.
+ * @param {string} key - Request key (usually the speaker ID)
+ * @param {Function} run - Starts the request; receives an AbortSignal and returns a promise
+ * @param {Object} [options] - Scheduling options
+ * @param {number} [options.priority] - Request priority added to the speaker priority
+ * @param {string} [options.group] - Speaker whose priority applies (defaults to the key)
+ * @returns {Promise<*>} - Request result; rejects with an AbortError when superseded
+ */
+function scheduleRequest(key, run, options = {}) {
+  const previous = pendingByKey.get(key);
+  if (previous) {
+    debugLog(`Cancelling superseded request for ${key}`);
+    cancelRequest(previous, 'superseded');
+  }
+  
+  return new Promise((resolve, reject) => {
+    const request = {
+      key,
+      group: options.group || key,
+      run,
+      priority: options.priority || 0,
+      sequence: nextSequence++,
+      attempt: 0,
+      controller: null,
+      retryTimer: null,
+      settled: false,
+      resolve,
+      reject
+    };
+    
+    pendingByKey.set(key, request);
+    enqueue(request);
+  });
+}
+
+/**
+ * Set the priority of a speaker's requests
+ * @param {string} key - Request key or group (speaker ID)
+ * @param {number} priority - Priority (higher runs first)
+ */
+function setSpeakerPriority(key, priority) {
+  speakerPriorities[key] = priority;
+}
+
+/**
+ * Cancel every scheduled request
+ */
+function cancelAllRequests() {
+  for (const request of Array.from(pendingByKey.values())) {
+    cancelRequest(request, 'cleared');
+  }
+  
+  queue = [];
+  pausedUntil = 0;
+  speakerPriorities = {};
+  clearTimeout(resumeTimer);
+  resumeTimer = null;
+}
+
+export {
+  scheduleRequest,
+  setSpeakerPriority,
+  cancelAllRequests
+};
@@ -0,0 +1,80 @@
+// Session recorder
+// Content-script side of the session history: starts a session in the background
+// worker when translation starts and sends every finalized utterance to it.
+import Config from './config.js';
+import { debugLog } from './utils.js';
+import { startSession, saveSessionUtterance, endSession } from './background-client.js';
+
+// Resolves to the ID of the session being recorded (null while not recording)
+let sessionIdPromise = null;
+
+/**
+ * Start recording a session
+ * @param {Object} info - { meetingName, url, inputLang, outputLangs, startedAt }
+ */
+function startSessionRecording(info) {
+  // A restart without stopping ends the previous session
+  stopSessionRecording();
+  
+  if (!Config.SESSION_HISTORY_ENABLED) return;
+  
+  sessionIdPromise = startSession(info).catch(error => {
+    // Translation keeps working without history
+    debugLog(`Failed to start session history: ${error.message}`);
+    return null;
+  });
+}
+
+/**
+ * Store a finalized utterance in the session
+ * @param {string} speakerId - ID of the speaker
+ * @param {Object} utterance - Finalized utterance
+ */
+function recordUtterance(speakerId, utterance) {
+  if (!sessionIdPromise || !utterance.fullText) return;
+  
+  const storedUtterance = {
+    id: utterance.utteranceId,
+    speaker: utterance.speaker,
+    speakerId,
+    start: Number(utterance.utteranceId),
+    end: Date.now(),
+    original: utterance.fullText,
+    detectedLang: utterance.detectedLang || null,
+    translation: utterance.translatedText || '',
+    translatedLang: utterance.translatedLang || null,
+    translations: { ...(utterance.translations || {}) }
+  };
+  
+  sessionIdPromise.then(sessionId => {
+    if (!sessionId) return;
+    
+    return saveSessionUtterance(sessionId, storedUtterance);
+  }).catch(error => {
+    debugLog(`Failed to save utterance to session history: ${error.message}`);
+  });
+}
+
+/**
+ * Stop recording and mark the session as ended
+ */
+function stopSessionRecording() {
+  if (!sessionIdPromise) return;
+  
+  const ending = sessionIdPromise;
+  sessionIdPromise = null;
+  
+  ending.then(sessionId => {
+    if (sessionId) {
+      return endSession(sessionId);
+    }
+  }).catch(error => {
+    debugLog(`Failed to end session: ${error.message}`);
+  });
+}
+
+export {
+  startSessionRecording,
+  recordUtterance,
+  stopSessionRecording
+};
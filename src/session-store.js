@@ -0,0 +1,211 @@
+// Meeting session history
+// Every translation session is stored in IndexedDB in the background worker: the
+// meeting, when it started and ended, who spoke and every finalized utterance.
+// The history page lists, reopens, exports and deletes the stored sessions.
+import { debugLog } from './utils.js';
+
+const DB_NAME = 'meeting-sessions';
+const DB_VERSION = 1;
+const SESSIONS_STORE = 'sessions';
+const UTTERANCES_STORE = 'utterances';
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} - Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to complete
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+  });
+}
+
+/**
+ * Open (and create if needed) the session database
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const sessions = db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+      sessions.createIndex('startedAt', 'startedAt');
+      const utterances = db.createObjectStore(UTTERANCES_STORE, { keyPath: ['sessionId', 'id'] });
+      utterances.createIndex('sessionId', 'sessionId');
+    };
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  
+  return dbPromise;
+}
+
+/**
+ * Start a new session
+ * @param {Object} info - { meetingName, url, inputLang, outputLangs, startedAt }
+ * @returns {Promise<string>} - Session ID
+ */
+async function createSession(info) {
+  const db = await openDatabase();
+  const startedAt = info.startedAt || Date.now();
+  const session = {
+    id: `${startedAt}-${Math.random().toString(36).slice(2, 8)}`,
+    meetingName: info.meetingName || '',
+    url: info.url || '',
+    inputLang: info.inputLang || '',
+    outputLangs: info.outputLangs || [],
+    startedAt,
+    endedAt: startedAt,
+    participants: [],
+    utteranceCount: 0
+  };
+  
+  const transaction = db.transaction(SESSIONS_STORE, 'readwrite');
+  transaction.objectStore(SESSIONS_STORE).put(session);
+  await transactionDone(transaction);
+  
+  debugLog(`Started session ${session.id} for "${session.meetingName}"`);
+  return session.id;
+}
+
+/**
+ * Store a finalized utterance (again, if its translation changed)
+ * The session's end time and participants follow the utterances, so sessions of
+ * tabs that were closed without stopping are still complete.
+ * @param {string} sessionId - Session ID
+ * @param {Object} utterance - { id, speaker, speakerId, start, end, original,
+ *   detectedLang, translation, translatedLang, translations }
+ * @returns {Promise<void>}
+ */
+async function saveSessionUtterance(sessionId, utterance) {
+  const db = await openDatabase();
+  
+  const transaction = db.transaction([SESSIONS_STORE, UTTERANCES_STORE], 'readwrite');
+  const sessions = transaction.objectStore(SESSIONS_STORE);
+  const utterances = transaction.objectStore(UTTERANCES_STORE);
+  
+  const session = await promisifyRequest(sessions.get(sessionId));
+  if (!session) {
+    throw new Error(`Unknown session: ${sessionId}`);
+  }
+  
+  const existing = await promisifyRequest(utterances.get([sessionId, utterance.id]));
+  utterances.put({ ...utterance, sessionId });
+  
+  if (!existing) {
+    session.utteranceCount++;
+  }
+  if (utterance.speaker && !session.participants.includes(utterance.speaker)) {
+    session.participants.push(utterance.speaker);
+  }
+  session.endedAt = Math.max(session.endedAt, utterance.end || 0);
+  sessions.put(session);
+  
+  await transactionDone(transaction);
+}
+
+/**
+ * Mark a session as ended
+ * @param {string} sessionId - Session ID
+ * @param {number} [endedAt] - End time, now if omitted
+ * @returns {Promise<void>}
+ */
+async function endSession(sessionId, endedAt = Date.now()) {
+  const db = await openDatabase();
+  
+  const transaction = db.transaction(SESSIONS_STORE, 'readwrite');
+  const sessions = transaction.objectStore(SESSIONS_STORE);
+  const session = await promisifyRequest(sessions.get(sessionId));
+  
+  if (session) {
+    session.endedAt = Math.max(session.endedAt, endedAt);
+    sessions.put(session);
+  }
+  
+  await transactionDone(transaction);
+}
+
+/**
+ * List the stored sessions without their utterances
+ * @returns {Promise<Object[]>} - Sessions, most recent first
+ */
+async function listSessions() {
+  const db = await openDatabase();
+  
+  const transaction = db.transaction(SESSIONS_STORE, 'readonly');
+  const sessions = await promisifyRequest(transaction.objectStore(SESSIONS_STORE).index('startedAt').getAll());
+  
+  return sessions.reverse();
+}
+
+/**
+ * Get a session with all its utterances
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Session with utterances in the order they were
+ *   spoken, null if it doesn't exist
+ */
+async function getSession(sessionId) {
+  const db = await openDatabase();
+  
+  const transaction = db.transaction([SESSIONS_STORE, UTTERANCES_STORE], 'readonly');
+  const session = await promisifyRequest(transaction.objectStore(SESSIONS_STORE).get(sessionId));
+  if (!session) return null;
+  
+  const utterances = await promisifyRequest(
+    transaction.objectStore(UTTERANCES_STORE).index('sessionId').getAll(sessionId)
+  );
+  utterances.sort((a, b) => a.start - b.start);
+  
+  return { ...session, utterances };
+}
+
+/**
+ * Delete a session and its utterances
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+async function deleteSession(sessionId) {
+  const db = await openDatabase();
+  
+  const transaction = db.transaction([SESSIONS_STORE, UTTERANCES_STORE], 'readwrite');
+  transaction.objectStore(SESSIONS_STORE).delete(sessionId);
+  transaction.objectStore(UTTERANCES_STORE).delete(
+    IDBKeyRange.bound([sessionId], [sessionId, []])
+  );
+  await transactionDone(transaction);
+  
+  debugLog(`Deleted session ${sessionId}`);
+}
+
+export {
+  createSession,
+  saveSessionUtterance,
+  endSession,
+  listSessions,
+  getSession,
+  deleteSession
+};
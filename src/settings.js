@@ -0,0 +1,389 @@
+// Runtime settings
+// Every Config value can be overridden from the options page. Overrides are stored in
+// chrome.storage.sync, one item per setting, and applied onto the shared Config object,
+// so modules that read Config.* at call time pick up changes without a rebuild.
+import Config from './config.js';
+import { debugLog } from './utils.js';
+
+// Storage key of a setting: prefix + Config key
+const STORAGE_KEY_PREFIX = 'setting:';
+
+// All overrides in one item, as stored by earlier versions (removed on the next save)
+const LEGACY_STORAGE_KEY = 'configOverrides';
+
+// A save writes several items, wait for all of them before applying the settings
+const RELOAD_DELAY = 100;
+
+// Build-time values, used as defaults and for "reset"
+const DEFAULT_CONFIG = JSON.parse(JSON.stringify(Config));
+
+// Typed schema for every Config value
+// type: "number" (integer), "boolean", "string", "url", "text" (multi-line), "select", "json"
+const SETTINGS_SCHEMA = {
+  DEFAULT_INPUT_LANG: { type: 'string', section: 'Languages', label: 'Default input language', required: true },
+  DEFAULT_OUTPUT_LANG: { type: 'string', section: 'Languages', label: 'Default output language', required: true },
+  LANGUAGE_DETECTION_MIN_LENGTH: { type: 'number', section: 'Languages', label: 'Min caption length for language detection (chars)', min: 1, max: 500 },
+  SKIP_SAME_LANGUAGE: { type: 'boolean', section: 'Languages', label: 'Don\'t translate captions already in the target language' },
+  LANGUAGE_PAIR: { type: 'string', section: 'Languages', label: 'Language pair for bilingual meetings (e.g. "ru,en", empty to disable)' },
+  PAIR_DISPLAY_LANGUAGE: { type: 'string', section: 'Languages', label: 'Pair mode: show everything in (language of the pair, empty = the other language)' },
+  
+  DEFAULT_PROVIDER: {
+    type: 'select', section: 'Provider', label: 'Default translation provider',
+    options: ['openai', 'deepl', 'azure', 'libretranslate']
+  },
+  MODEL_NAME: { type: 'string', section: 'Provider', label: 'OpenAI model', required: true },
+  OPENAI_BASE_URL: { type: 'url', section: 'Provider', label: 'OpenAI-compatible base URL', required: true },
+  AZURE_TRANSLATOR_REGION: { type: 'string', section: 'Provider', label: 'Azure Translator region' },
+  AZURE_TRANSLATOR_ENDPOINT: { type: 'url', section: 'Provider', label: 'Azure Translator endpoint', required: true },
+  LIBRETRANSLATE_URL: { type: 'url', section: 'Provider', label: 'LibreTranslate server URL', required: true },
+  TRANSLATION_SYSTEM_PROMPT: {
+    type: 'text', section: 'Provider', label: 'Translation system prompt', required: true,
+    placeholders: ['{outputLang}']
+  },
+  TRANSLATION_CONTEXT_UTTERANCES: { type: 'number', section: 'Provider', label: 'Previous utterances sent as context', min: 0, max: 20 },
+  TRANSLATION_CONTEXT_MAX_CHARS: { type: 'number', section: 'Provider', label: 'Max context length (chars)', min: 0, max: 20000 },
+  TRANSLATION_CONTEXT_PROMPT: {
+    type: 'text', section: 'Provider', label: 'Context prompt', required: true,
+    placeholders: ['{context}']
+  },
+  MASK_PROTECTED_ENTITIES: { type: 'boolean', section: 'Provider', label: 'Protect URLs, emails, ticket IDs and code from translation' },
+  MASK_SPEAKER_NAMES: { type: 'boolean', section: 'Provider', label: 'Protect participant names from translation' },
+  MASK_RULES: { type: 'json', section: 'Provider', label: 'Protection rules (JSON object: name -> regular expression)' },
+  DO_NOT_TRANSLATE: { type: 'text', section: 'Provider', label: 'Do-not-translate words (one per line)' },
+  TRANSLATION_GLOSSARY_PROMPT: {
+    type: 'text', section: 'Provider', label: 'Glossary prompt', required: true,
+    placeholders: ['{terms}']
+  },
+  SUMMARY_PROMPT: {
+    type: 'text', section: 'Provider', label: 'Meeting summary prompt', required: true,
+    placeholders: ['{outputLang}']
+  },
+  SUMMARY_MERGE_PROMPT: {
+    type: 'text', section: 'Provider', label: 'Prompt merging partial summaries', required: true,
+    placeholders: ['{outputLang}']
+  },
+  SUMMARY_CHUNK_MAX_CHARS: { type: 'number', section: 'Provider', label: 'Max transcript chunk per summary request (chars)', min: 1000, max: 200000 },
+  
+  SPEECH_SEGMENT_TIMEOUT: { type: 'number', section: 'Speech detection', label: 'Speech segment timeout (ms)', min: 1000, max: 600000 },
+  TRANSLATION_THROTTLE: { type: 'number', section: 'Speech detection', label: 'Translation throttle (ms)', min: 0, max: 60000 },
+  DEBOUNCE_DELAY: { type: 'number', section: 'Speech detection', label: 'Subtitle debounce delay (ms)', min: 0, max: 10000 },
+  REQUEST_DEDUP_WINDOW: { type: 'number', section: 'Speech detection', label: 'Request deduplication window (ms)', min: 0, max: 60000 },
+  SUBTITLE_PROCESSING_INTERVAL: { type: 'number', section: 'Speech detection', label: 'Subtitle processing interval (ms)', min: 0, max: 60000 },
+  MAX_SPEECH_SEGMENT_LENGTH: { type: 'number', section: 'Speech detection', label: 'Max speech segment length (chars)', min: 100, max: 20000 },
+  INCREMENTAL_TRANSLATION: { type: 'boolean', section: 'Speech detection', label: 'Translate completed sentences once (incremental mode)' },
+  INCREMENTAL_MIN_FREEZE_LENGTH: { type: 'number', section: 'Speech detection', label: 'Min completed text to freeze (chars)', min: 1, max: 2000 },
+  
+  API_RATE_LIMIT: { type: 'number', section: 'Requests', label: 'API rate limit (ms between requests)', min: 0, max: 60000 },
+  API_TIMEOUT: { type: 'number', section: 'Requests', label: 'API timeout (ms)', min: 1000, max: 120000 },
+  API_CHECK_TIMEOUT: { type: 'number', section: 'Requests', label: 'API connection check timeout (ms)', min: 1000, max: 60000 },
+  SUMMARY_TIMEOUT: { type: 'number', section: 'Requests', label: 'Meeting summary timeout (ms)', min: 5000, max: 600000 },
+  STREAM_TRANSLATIONS: { type: 'boolean', section: 'Requests', label: 'Stream translations token by token' },
+  API_STREAM_IDLE_TIMEOUT: { type: 'number', section: 'Requests', label: 'Stream idle timeout (ms)', min: 1000, max: 120000 },
+  TRANSLATION_CACHE_ENABLED: { type: 'boolean', section: 'Cache', label: 'Cache translations across sessions' },
+  TRANSLATION_CACHE_TTL: { type: 'number', section: 'Cache', label: 'Cache entry lifetime (ms)', min: 60000, max: 365 * 24 * 60 * 60 * 1000 },
+  TRANSLATION_CACHE_MAX_BYTES: { type: 'number', section: 'Cache', label: 'Cache size budget (bytes)', min: 64 * 1024, max: 200 * 1024 * 1024 },
+  SESSION_HISTORY_ENABLED: { type: 'boolean', section: 'Cache', label: 'Save meeting sessions to the history' },
+  MAX_RETRIES: { type: 'number', section: 'Requests', label: 'Max retries', min: 0, max: 10 },
+  RETRY_DELAY: { type: 'number', section: 'Requests', label: 'Base retry delay (ms)', min: 0, max: 60000 },
+  RETRY_MAX_DELAY: { type: 'number', section: 'Requests', label: 'Max retry delay (ms)', min: 0, max: 120000 },
+  MAX_CONCURRENT_REQUESTS: { type: 'number', section: 'Requests', label: 'Concurrent requests', min: 1, max: 10 },
+  
+  MAX_STORED_UTTERANCES: { type: 'number', section: 'Display', label: 'Stored utterances per speaker', min: 1, max: 1000 },
+  POPUP_REFRESH_INTERVAL: { type: 'number', section: 'Display', label: 'Popup refresh interval (ms)', min: 100, max: 10000 },
+  BILINGUAL_DISPLAY_MODE: { type: 'select', section: 'Display', label: 'Translation window shows', options: ['translation', 'stacked', 'side-by-side'] },
+  DISPLAY_MODE: { type: 'select', section: 'Display', label: 'Show translations in', options: ['popup', 'pip', 'overlay', 'side-panel'] },
+  OVERLAY_FONT_SIZE: { type: 'number', section: 'Display', label: 'Overlay font size (px)', min: 8, max: 72 },
+  OVERLAY_BACKGROUND_OPACITY: { type: 'number', section: 'Display', label: 'Overlay background opacity (%)', min: 0, max: 100 },
+  OVERLAY_LINE_COUNT: { type: 'number', section: 'Display', label: 'Overlay lines', min: 1, max: 10 },
+  OBSERVER_UPDATE_INTERVAL: { type: 'number', section: 'Display', label: 'Observer health check interval (ms)', min: 1000, max: 600000 },
+  MAX_DEBUG_LOGS: { type: 'number', section: 'Display', label: 'Debug log entries kept', min: 10, max: 5000 }
+};
+
+// Callbacks notified after settings change
+let changeListeners = [];
+
+/**
+ * Validate and normalize a single setting value
+ * @param {string} key - Config key
+ * @param {*} value - Raw value (strings are accepted for every type)
+ * @returns {{valid: boolean, value: *, error: string|null}} - Validation result
+ */
+function validateSetting(key, value) {
+  const schema = SETTINGS_SCHEMA[key];
+  if (!schema) {
+    return { valid: false, value, error: `Unknown setting: ${key}` };
+  }
+  
+  const fail = error => ({ valid: false, value, error });
+  
+  switch (schema.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (String(value).trim() === '' || !Number.isInteger(number)) {
+        return fail(`${schema.label} must be a whole number`);
+      }
+      if (schema.min !== undefined && number < schema.min) {
+        return fail(`${schema.label} must be at least ${schema.min}`);
+      }
+      if (schema.max !== undefined && number > schema.max) {
+        return fail(`${schema.label} must be at most ${schema.max}`);
+      }
+      return { valid: true, value: number, error: null };
+    }
+    
+    case 'boolean':
+      if (typeof value === 'boolean') return { valid: true, value, error: null };
+      if (value === 'true' || value === 'false') return { valid: true, value: value === 'true', error: null };
+      return fail(`${schema.label} must be true or false`);
+    
+    case 'select':
+      if (!schema.options.includes(value)) {
+        return fail(`${schema.label} must be one of: ${schema.options.join(', ')}`);
+      }
+      return { valid: true, value, error: null };
+    
+    case 'json': {
+      let parsed = value;
+      if (typeof value === 'string') {
+        try {
+          parsed = value.trim() ? JSON.parse(value) : {};
+        } catch (e) {
+          return fail(`${schema.label} is not valid JSON: ${e.message}`);
+        }
+      }
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return fail(`${schema.label} must be a JSON object`);
+      }
+      return { valid: true, value: parsed, error: null };
+    }
+    
+    case 'url': {
+      const url = String(value).trim();
+      if (!url && !schema.required) return { valid: true, value: url, error: null };
+      try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+          return fail(`${schema.label} must be an http(s) URL`);
+        }
+      } catch (e) {
+        return fail(`${schema.label} must be a valid URL`);
+      }
+      return { valid: true, value: url, error: null };
+    }
+    
+    case 'string':
+    case 'text': {
+      const text = schema.type === 'string' ? String(value).trim() : String(value);
+      if (schema.required && !text.trim()) {
+        return fail(`${schema.label} is required`);
+      }
+      const missing = (schema.placeholders || []).filter(placeholder => !text.includes(placeholder));
+      if (missing.length > 0) {
+        return fail(`${schema.label} must contain ${missing.join(', ')}`);
+      }
+      return { valid: true, value: text, error: null };
+    }
+    
+    default:
+      return fail(`Unsupported setting type: ${schema.type}`);
+  }
+}
+
+/**
+ * Validate a set of overrides
+ * @param {Object} overrides - Map of Config keys to values
+ * @returns {{values: Object, errors: Object}} - Normalized values and errors by key
+ */
+function validateSettings(overrides) {
+  const values = {};
+  const errors = {};
+  
+  for (const key in overrides) {
+    if (!Object.prototype.hasOwnProperty.call(overrides, key)) continue;
+    
+    const result = validateSetting(key, overrides[key]);
+    if (result.valid) {
+      values[key] = result.value;
+    } else {
+      errors[key] = result.error;
+    }
+  }
+  
+  return { values, errors };
+}
+
+/**
+ * Get the build-time default for a setting
+ * @param {string} key - Config key
+ * @returns {*} - Default value
+ */
+function getDefaultSetting(key) {
+  return DEFAULT_CONFIG[key];
+}
+
+/**
+ * Apply overrides onto Config, resetting everything else to the defaults
+ * Invalid overrides are skipped so a bad stored value can't break the extension.
+ * @param {Object} overrides - Map of Config keys to values
+ */
+function applySettings(overrides) {
+  const { values, errors } = validateSettings(overrides || {});
+  
+  for (const key in errors) {
+    debugLog(`Ignoring invalid setting ${key}: ${errors[key]}`);
+  }
+  
+  const previous = { ...Config };
+  Object.assign(Config, JSON.parse(JSON.stringify(DEFAULT_CONFIG)), values);
+  
+  const changedKeys = Object.keys(SETTINGS_SCHEMA).filter(key =>
+    JSON.stringify(previous[key]) !== JSON.stringify(Config[key])
+  );
+  
+  if (changedKeys.length > 0) {
+    debugLog(`Settings applied: ${changedKeys.join(', ')}`);
+    for (const listener of changeListeners) {
+      try {
+        listener(changedKeys);
+      } catch (e) {
+        console.error("Error in settings listener:", e);
+      }
+    }
+  }
+}
+
+/**
+ * Get the storage keys of all settings
+ * @returns {string[]} - Storage keys
+ */
+function getStorageKeys() {
+  return Object.keys(SETTINGS_SCHEMA).map(key => STORAGE_KEY_PREFIX + key);
+}
+
+/**
+ * Get the size chrome.storage.sync counts for an item
+ * @param {string} storageKey - Storage key
+ * @param {*} value - Value
+ * @returns {number} - Size in bytes
+ */
+function getItemSize(storageKey, value) {
+  return new TextEncoder().encode(storageKey + JSON.stringify(value)).length;
+}
+
+/**
+ * Read stored overrides
+ * @returns {Promise<Object>} - Map of Config keys to stored values
+ */
+async function getStoredSettings() {
+  const storageKeys = getStorageKeys();
+  const [syncData, localData] = await Promise.all([
+    chrome.storage.sync.get([...storageKeys, LEGACY_STORAGE_KEY]),
+    chrome.storage.local.get(storageKeys)
+  ]);
+  
+  const stored = { ...(syncData[LEGACY_STORAGE_KEY] || {}) };
+  for (const key in SETTINGS_SCHEMA) {
+    const storageKey = STORAGE_KEY_PREFIX + key;
+    if (Object.prototype.hasOwnProperty.call(localData, storageKey)) {
+      stored[key] = localData[storageKey];
+    } else if (Object.prototype.hasOwnProperty.call(syncData, storageKey)) {
+      stored[key] = syncData[storageKey];
+    }
+  }
+  
+  return stored;
+}
+
+/**
+ * Validate and store overrides
+ * Values equal to the default are not stored, so later default changes still apply.
+ * @param {Object} overrides - Map of Config keys to values
+ * @returns {Promise<{saved: boolean, errors: Object}>} - Save result with validation errors
+ */
+async function saveSettings(overrides) {
+  const { values, errors } = validateSettings(overrides);
+  
+  if (Object.keys(errors).length > 0) {
+    return { saved: false, errors };
+  }
+  
+  const syncItems = {};
+  const localItems = {};
+  for (const key in values) {
+    if (JSON.stringify(values[key]) === JSON.stringify(DEFAULT_CONFIG[key])) continue;
+    
+    // Long prompts and lists don't fit in a sync item, they are kept on this device
+    const storageKey = STORAGE_KEY_PREFIX + key;
+    if (getItemSize(storageKey, values[key]) > chrome.storage.sync.QUOTA_BYTES_PER_ITEM) {
+      localItems[storageKey] = values[key];
+    } else {
+      syncItems[storageKey] = values[key];
+    }
+  }
+  
+  const storageKeys = getStorageKeys();
+  await chrome.storage.sync.set(syncItems);
+  await chrome.storage.local.set(localItems);
+  await chrome.storage.sync.remove([...storageKeys.filter(key => !(key in syncItems)), LEGACY_STORAGE_KEY]);
+  await chrome.storage.local.remove(storageKeys.filter(key => !(key in localItems)));
+  return { saved: true, errors: {} };
+}
+
+/**
+ * Remove all overrides
+ * @returns {Promise<void>}
+ */
+async function resetSettings() {
+  const storageKeys = getStorageKeys();
+  await chrome.storage.sync.remove([...storageKeys, LEGACY_STORAGE_KEY]);
+  await chrome.storage.local.remove(storageKeys);
+}
+
+/**
+ * Load stored overrides into Config and follow later changes
+ * @returns {Promise<void>}
+ */
+async function initSettings() {
+  try {
+    applySettings(await getStoredSettings());
+  } catch (error) {
+    debugLog(`Failed to load settings: ${error.message}`);
+  }
+  
+  let reloadTimeout = null;
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync' && areaName !== 'local') return;
+    
+    const settingsChanged = Object.keys(changes).some(storageKey =>
+      storageKey.startsWith(STORAGE_KEY_PREFIX) || storageKey === LEGACY_STORAGE_KEY
+    );
+    if (!settingsChanged) return;
+    
+    clearTimeout(reloadTimeout);
+    reloadTimeout = setTimeout(() => {
+      getStoredSettings().then(applySettings).catch(error => {
+        debugLog(`Failed to reload settings: ${error.message}`);
+      });
+    }, RELOAD_DELAY);
+  });
+}
+
+/**
+ * Register a callback for settings changes
+ * @param {Function} listener - Called with the list of changed keys
+ */
+function onSettingsChanged(listener) {
+  changeListeners.push(listener);
+}
+
+export {
+  SETTINGS_SCHEMA,
+  validateSetting,
+  validateSettings,
+  getDefaultSetting,
+  getStoredSettings,
+  saveSettings,
+  resetSettings,
+  initSettings,
+  onSettingsChanged
+};
@@ -0,0 +1,154 @@
+// Content-script side of the side panel port
+// The side panel is an extension page and can't reach into the Teams page, so it
+// connects to this content script through a long-lived port and renders what it
+// is sent with the same code as the translation window.
+import { debugLog, getDebugLogs } from './utils.js';
+
+const SIDE_PANEL_PORT_NAME = 'side-panel';
+
+// Side panel updates are batched, the captions change several times a second
+const SIDE_PANEL_UPDATE_DELAY = 100;
+
+let ports = new Set();
+let updateTimeout = null;
+let lastSentLog = null;
+
+// Latest state shown in the side panel
+let panelState = {
+  translatedUtterances: {},
+  activeSpeakers: {},
+  displayLanguages: [],
+  session: null, // { startedAt, meetingName }
+  isActive: false
+};
+
+/**
+ * Send the current state to the connected side panels
+ * @param {boolean} [includeAllLogs] - Send the debug log even if it didn't change
+ */
+function postPanelState(includeAllLogs = false) {
+  updateTimeout = null;
+  
+  // The debug log is only sent when there are new entries
+  const logs = getDebugLogs();
+  const lastLog = logs.length > 0 ? logs[logs.length - 1] : null;
+  const message = { type: 'update', ...panelState };
+  if (includeAllLogs || lastLog !== lastSentLog) {
+    message.logs = logs;
+    lastSentLog = lastLog;
+  }
+  
+  for (const port of ports) {
+    try {
+      port.postMessage(message);
+    } catch (e) {
+      // The panel was closed, onDisconnect removes the port
+    }
+  }
+}
+
+/**
+ * Schedule a side panel update
+ */
+function scheduleUpdate() {
+  if (ports.size === 0 || updateTimeout) return;
+  
+  updateTimeout = setTimeout(() => postPanelState(), SIDE_PANEL_UPDATE_DELAY);
+}
+
+/**
+ * Show the latest translations in the connected side panels
+ * @param {Object} translatedUtterances - Map of speaker IDs to arrays of utterances
+ * @param {Object} activeSpeakers - Map of speaker IDs to active speakers
+ */
+function updateSidePanelDisplay(translatedUtterances, activeSpeakers) {
+  panelState.translatedUtterances = translatedUtterances;
+  panelState.activeSpeakers = activeSpeakers;
+  scheduleUpdate();
+}
+
+/**
+ * Change the session state shown in the side panels
+ * @param {Object} changes - { displayLanguages?, session?, isActive? }
+ */
+function setSidePanelState(changes) {
+  panelState = { ...panelState, ...changes };
+  scheduleUpdate();
+}
+
+/**
+ * Tell the connected side panels that a new session started, so they drop what
+ * they accumulated for the previous one
+ */
+function notifySidePanelSessionStart() {
+  for (const port of ports) {
+    try {
+      port.postMessage({ type: 'sessionStart' });
+    } catch (e) {
+      // The panel was closed, onDisconnect removes the port
+    }
+  }
+}
+
+/**
+ * Summarize the transcript of a side panel and send the summary back
+ * @param {chrome.runtime.Port} port - Side panel port
+ * @param {Object} message - { requestId, transcript }
+ */
+function summarizeForPanel(port, message) {
+  const reply = result => {
+    try {
+      port.postMessage({ type: 'summary', requestId: message.requestId, ...result });
+    } catch (e) {
+      // The panel was closed while the summary was generated
+    }
+  };
+  
+  if (typeof window.summarizeTranscript !== 'function') {
+    reply({ error: "Summaries are not available" });
+    return;
+  }
+  
+  window.summarizeTranscript(message.transcript)
+    .then(summary => reply({ summary }))
+    .catch(error => {
+      debugLog(`Summary for the side panel failed: ${error.message}`);
+      reply({ error: error.message });
+    });
+}
+
+/**
+ * Accept side panels, which connect with chrome.tabs.connect() to the Teams tab they follow
+ */
+function listenForSidePanels() {
+  chrome.runtime.onConnect.addListener(port => {
+    if (port.name !== SIDE_PANEL_PORT_NAME) return;
+    
+    ports.add(port);
+    debugLog("Side panel connected");
+    
+    // The panel's Clear All and Summarize buttons
+    port.onMessage.addListener(message => {
+      if (message && message.type === 'clear' && typeof window.clearAllTranslations === 'function') {
+        window.clearAllTranslations();
+      } else if (message && message.type === 'summarize') {
+        summarizeForPanel(port, message);
+      }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      ports.delete(port);
+      debugLog("Side panel disconnected");
+    });
+    
+    postPanelState(true);
+  });
+}
+
+export {
+  SIDE_PANEL_PORT_NAME,
+  listenForSidePanels,
+  updateSidePanelDisplay,
+  setSidePanelState,
+  notifySidePanelSessionStart
+};
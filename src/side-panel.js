@@ -0,0 +1,207 @@
+// Side panel
+// Docks the translation feed next to Teams. The feed is rendered by the translation
+// window code; the content script of the Teams tab in this browser window sends the
+// utterances over a long-lived port (see side-panel-port.js).
+import { debugLog } from './utils.js';
+import { initSettings, onSettingsChanged } from './settings.js';
+import { loadSpeakerPreferences } from './speaker-preferences.js';
+import {
+  attachDisplaySurface,
+  updateTranslationsDisplay,
+  setTranslationStatus,
+  setDisplayLanguages,
+  setSessionInfo,
+  clearAccumulatedTranslations,
+  updateLanguagePairControl,
+  updateBilingualMode
+} from './popup-manager.js';
+import { SIDE_PANEL_PORT_NAME } from './side-panel-port.js';
+
+// Wait before reconnecting after the Teams tab reloaded or closed
+const RECONNECT_DELAY = 3000;
+
+let port = null;
+let connectedTabId = null;
+let reconnectTimeout = null;
+
+// Output languages of the session shown, to notice changes
+let shownLanguages = '';
+
+// Debug log of the Teams tab
+let remoteLogs = [];
+
+// Summaries requested from the Teams tab: requestId -> { resolve, reject }
+let pendingSummaries = new Map();
+let nextSummaryId = 1;
+
+/**
+ * Find the Teams tab the side panel should follow
+ * @returns {Promise<Object|null>} - Active Teams tab of this browser window
+ */
+async function findTeamsTab() {
+  const [tab] = await chrome.tabs.query({
+    active: true,
+    currentWindow: true,
+    url: 'https://teams.microsoft.com/*'
+  });
+  return tab || null;
+}
+
+/**
+ * Show an update from the content script
+ * @param {Object} message - Panel state: utterances, languages, status and new logs
+ */
+function handlePanelMessage(message) {
+  if (message && message.type === 'summary') {
+    handleSummaryMessage(message);
+    return;
+  }
+  if (message && message.type === 'sessionStart') {
+    // A new session in the same tab starts with an empty feed, like the translation window
+    resetPanel();
+    return;
+  }
+  if (!message || message.type !== 'update') return;
+  
+  if (message.logs) {
+    remoteLogs = message.logs;
+  }
+  
+  const languages = (message.displayLanguages || []).join(',');
+  if (languages !== shownLanguages) {
+    shownLanguages = languages;
+    setDisplayLanguages(message.displayLanguages || []);
+  }
+  
+  if (message.session) {
+    setSessionInfo(message.session);
+  }
+  
+  setTranslationStatus(message.isActive);
+  updateTranslationsDisplay(message.translatedUtterances || {}, message.activeSpeakers || {});
+}
+
+/**
+ * Settle a summary request with the answer of the content script
+ * @param {Object} message - { requestId, summary } or { requestId, error }
+ */
+function handleSummaryMessage(message) {
+  const request = pendingSummaries.get(message.requestId);
+  if (!request) return;
+  
+  pendingSummaries.delete(message.requestId);
+  if (message.error) {
+    request.reject(new Error(message.error));
+  } else {
+    request.resolve(message.summary);
+  }
+}
+
+/**
+ * Fail the summary requests of a closed connection
+ */
+function rejectPendingSummaries() {
+  for (const request of pendingSummaries.values()) {
+    request.reject(new Error("Connection to the Teams tab lost"));
+  }
+  pendingSummaries.clear();
+}
+
+/**
+ * Forget what was shown for the previous Teams tab or session
+ */
+function resetPanel() {
+  clearAccumulatedTranslations();
+  shownLanguages = '';
+  remoteLogs = [];
+  
+  const subtitlesContainer = document.getElementById('subtitles-container');
+  if (subtitlesContainer) {
+    subtitlesContainer.innerHTML = '';
+  }
+}
+
+/**
+ * Connect to the content script of the active Teams tab
+ * @returns {Promise<void>}
+ */
+async function connectToTeamsTab() {
+  clearTimeout(reconnectTimeout);
+  
+  const tab = await findTeamsTab();
+  if (!tab) {
+    debugLog("No Teams tab active in this window");
+    return;
+  }
+  if (port && connectedTabId === tab.id) return;
+  
+  if (port) {
+    port.disconnect();
+    rejectPendingSummaries();
+  }
+  if (connectedTabId !== tab.id) {
+    resetPanel();
+  }
+  
+  const tabPort = chrome.tabs.connect(tab.id, { name: SIDE_PANEL_PORT_NAME });
+  port = tabPort;
+  connectedTabId = tab.id;
+  
+  tabPort.onMessage.addListener(handlePanelMessage);
+  tabPort.onDisconnect.addListener(() => {
+    // Replaced by a connection to another tab
+    if (port !== tabPort) return;
+    
+    port = null;
+    rejectPendingSummaries();
+    setTranslationStatus(false);
+    reconnectTimeout = setTimeout(connectToTeamsTab, RECONNECT_DELAY);
+  });
+}
+
+// The Clear All button clears the Teams tab, which sends the empty state back
+window.clearAllTranslations = function() {
+  if (port) {
+    port.postMessage({ type: 'clear' });
+  }
+};
+
+// The Summarize button: the content script of the Teams tab runs the provider requests
+window.summarizeTranscript = function(transcript) {
+  return new Promise((resolve, reject) => {
+    if (!port) {
+      reject(new Error("No Teams tab connected"));
+      return;
+    }
+    
+    const requestId = nextSummaryId++;
+    pendingSummaries.set(requestId, { resolve, reject });
+    port.postMessage({ type: 'summarize', requestId, transcript });
+  });
+};
+
+// Follow the Teams tab when the user switches tabs
+chrome.tabs.onActivated.addListener(() => {
+  connectToTeamsTab();
+});
+
+// The panel renders with the same settings as the translation window
+onSettingsChanged(changedKeys => {
+  if (changedKeys.includes('LANGUAGE_PAIR') || changedKeys.includes('PAIR_DISPLAY_LANGUAGE')) {
+    updateLanguagePairControl();
+  }
+  if (changedKeys.includes('BILINGUAL_DISPLAY_MODE')) {
+    updateBilingualMode();
+  }
+});
+
+Promise.all([
+  initSettings(),
+  loadSpeakerPreferences().catch(error => {
+    debugLog(`Failed to load speaker preferences: ${error.message}`);
+  })
+]).then(() => {
+  attachDisplaySurface(window, updateTranslationsDisplay, () => remoteLogs);
+  setTranslationStatus(false);
+  connectToTeamsTab();
+});
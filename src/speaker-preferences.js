@@ -0,0 +1,88 @@
+// Speaker preferences
+// Per-speaker overrides set from the translation window: the language a speaker
+// talks, or no translation at all. Stored by speaker name so they carry over to
+// later meetings with the same people.
+import { debugLog } from './utils.js';
+import { getLanguageCode } from './languages.js';
+
+const STORAGE_KEY = 'speakerPreferences';
+
+// In-memory copy of the stored preferences (normalized name -> preference)
+let preferences = {};
+
+/**
+ * Normalize a speaker name so preferences match regardless of case and spacing
+ * @param {string} speakerName - Speaker name as shown in the captions
+ * @returns {string} - Preference key
+ */
+function getPreferenceKey(speakerName) {
+  return (speakerName || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Load speaker preferences from storage
+ * @returns {Promise<Object>} - Stored preferences by normalized name
+ */
+async function loadSpeakerPreferences() {
+  const data = await chrome.storage.local.get(STORAGE_KEY);
+  preferences = data[STORAGE_KEY] || {};
+  return preferences;
+}
+
+/**
+ * Get the preference of a speaker
+ * @param {string} speakerName - Speaker name
+ * @returns {Object} - { inputLang, translate }: inputLang is '' to use the meeting
+ *   input language, translate is false if the speaker opted out
+ */
+function getSpeakerPreference(speakerName) {
+  const preference = preferences[getPreferenceKey(speakerName)] || {};
+  
+  return {
+    inputLang: preference.inputLang || '',
+    translate: preference.translate !== false
+  };
+}
+
+/**
+ * Change the preference of a speaker
+ * Preferences back at the defaults are removed instead of stored.
+ * @param {string} speakerName - Speaker name
+ * @param {Object} changes - { inputLang?, translate? }
+ * @returns {Promise<void>}
+ */
+async function setSpeakerPreference(speakerName, changes) {
+  const key = getPreferenceKey(speakerName);
+  if (!key) return;
+  
+  const stored = await loadSpeakerPreferences();
+  const preference = { ...getSpeakerPreference(speakerName), ...changes };
+  const next = { ...stored };
+  
+  if (!preference.inputLang && preference.translate) {
+    delete next[key];
+  } else {
+    next[key] = {
+      name: speakerName.trim(),
+      inputLang: preference.inputLang ? getLanguageCode(preference.inputLang) : '',
+      translate: preference.translate
+    };
+  }
+  
+  await chrome.storage.local.set({ [STORAGE_KEY]: next });
+  preferences = next;
+  debugLog(`Speaker preference for ${speakerName}: ${JSON.stringify(next[key] || 'default')}`);
+}
+
+// Keep the in-memory copy in sync with changes made in other tabs
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[STORAGE_KEY]) {
+    preferences = changes[STORAGE_KEY].newValue || {};
+  }
+});
+
+export {
+  loadSpeakerPreferences,
+  getSpeakerPreference,
+  setSpeakerPreference
+};
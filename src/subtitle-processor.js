@@ -1,12 +1,26 @@
 // Subtitle processing module
 import Config from './config.js';
-import { debugLog, getSpeakerId, isContinuationOfSpeech } from './utils.js';
+import {
+  debugLog,
+  getSpeakerId,
+  getMeetingName,
+  isContinuationOfSpeech
+} from './utils.js';
 import { 
   translateText, 
   clearActiveTimerForSpeaker, 
   setActiveTimerForSpeaker 
 } from './translation-service.js';
+import { setSpeakerPriority } from './request-scheduler.js';
+import { getIncrementalSegments, clearIncrementalState } from './incremental-translation.js';
+import { getGlossaryTerms, findGlossaryMatches, findMissingTerms } from './glossary.js';
+import { detectLanguage } from './language-detection.js';
+import { AUTO_DETECT, getLanguageCode, getLanguagePair } from './languages.js';
+import { getSpeakerPreference } from './speaker-preferences.js';
 import { updateTranslationsDisplay } from './popup-manager.js';
+import { updateOverlayDisplay } from './overlay-manager.js';
+import { updateSidePanelDisplay } from './side-panel-port.js';
+import { recordUtterance } from './session-recorder.js';
 
 // Speech detection variables
 let activeSpeakers = {}; // Map of active speakers and their current utterances
@@ -14,6 +28,7 @@ let knownSubtitles = new Set(); // Set of known subtitle texts to avoid duplicat
 let translatedUtterances = {}; // Map of speaker ID to their latest utterance
 let isClearing = false; // Flag to prevent clearing and adding simultaneously
 let lastProcessedTime = 0; // Track when we last processed subtitles
+let currentSpeakerId = null; // Speaker whose caption is currently on screen
 
 let clearSubtitleData_delay = 500;
 
@@ -132,9 +147,9 @@ function detectSpeaker() {
  * Process subtitles found in the DOM
  * @param {boolean} isTranslationActive - Whether translation is active
  * @param {string} inputLang - Input language
- * @param {string} outputLang - Output language
+ * @param {string[]} outputLangs - Output languages (the first one is the main translation)
  */
-function processSubtitles(isTranslationActive, inputLang, outputLang) {
+function processSubtitles(isTranslationActive, inputLang, outputLangs) {
   // Skip processing if translation is inactive or we're currently clearing
   if (!isTranslationActive || isClearing) {
     return;
@@ -169,6 +184,15 @@ function processSubtitles(isTranslationActive, inputLang, outputLang) {
     const { name: speakerName, avatar: speakerAvatar } = detectSpeaker();
     const speakerId = getSpeakerId(speakerName);
     
+    // Translate the speaker on screen before queued updates from others
+    if (speakerId !== currentSpeakerId) {
+      if (currentSpeakerId) {
+        setSpeakerPriority(currentSpeakerId, 0);
+      }
+      setSpeakerPriority(speakerId, 1);
+      currentSpeakerId = speakerId;
+    }
+    
     // Process each subtitle container
     for (const subtitleContainer of subtitleContainers) {
       const text = subtitleContainer.innerText.trim();
@@ -254,7 +278,7 @@ function processSubtitles(isTranslationActive, inputLang, outputLang) {
           
           // If content changed, force UI update to show "Translating..." initially
           if (hasContentChanged) {
-            updateTranslationsDisplay(translatedUtterances, activeSpeakers);
+            forceDisplayUpdate();
           }
         }
         
@@ -263,11 +287,11 @@ function processSubtitles(isTranslationActive, inputLang, outputLang) {
         
         // Set a new finalization timer
         setActiveTimerForSpeaker(speakerId, 'finalize', setTimeout(() => {
-          finalizeSpeech(speakerId, inputLang, outputLang);
+          finalizeSpeech(speakerId, inputLang, outputLangs);
         }, Config.SPEECH_SEGMENT_TIMEOUT));
         
         // Translate immediately without delay
-        translateAndUpdateUtterance(speakerId, inputLang, outputLang);
+        translateAndUpdateUtterance(speakerId, inputLang, outputLangs);
       } else {
         // This is a new speech
         activeSpeakers[speakerId] = {
@@ -275,6 +299,7 @@ function processSubtitles(isTranslationActive, inputLang, outputLang) {
           fullText: text,
           lastTime: Date.now(),
           translatedText: "Translating...",
+          translations: {}, // Translation per output language
           utteranceId: Date.now().toString(),
           active: true,
           avatar: speakerAvatar
@@ -284,14 +309,14 @@ function processSubtitles(isTranslationActive, inputLang, outputLang) {
         
         // Set a finalization timer
         setActiveTimerForSpeaker(speakerId, 'finalize', setTimeout(() => {
-          finalizeSpeech(speakerId, inputLang, outputLang);
+          finalizeSpeech(speakerId, inputLang, outputLangs);
         }, Config.SPEECH_SEGMENT_TIMEOUT));
         
         // Translate immediately without delay
-        translateAndUpdateUtterance(speakerId, inputLang, outputLang);
+        translateAndUpdateUtterance(speakerId, inputLang, outputLangs);
         
         // Immediately update display to show "Translating..." for this new speaker
-        updateTranslationsDisplay(translatedUtterances, activeSpeakers);
+        forceDisplayUpdate();
       }
     }
     
@@ -309,8 +334,10 @@ function processSubtitles(isTranslationActive, inputLang, outputLang) {
  * Force update displays
  */
 function forceDisplayUpdate() {
-  // Update popup display only
+  // Each display skips the update while it is closed
   updateTranslationsDisplay(translatedUtterances, activeSpeakers);
+  updateOverlayDisplay(translatedUtterances, activeSpeakers);
+  updateSidePanelDisplay(translatedUtterances, activeSpeakers);
 }
 
 // Expose for use by translation service
@@ -320,9 +347,9 @@ window.forceDisplayUpdate = forceDisplayUpdate;
  * Schedule translation with delay
  * @param {string} speakerId - Speaker ID
  * @param {string} inputLang - Source language
- * @param {string} outputLang - Target language
+ * @param {string[]} outputLangs - Target languages
  */
-function scheduleTranslation(speakerId, inputLang, outputLang) {
+function scheduleTranslation(speakerId, inputLang, outputLangs) {
   // Cancel previous scheduled translation
   if (translationTimers[speakerId]) {
     clearTimeout(translationTimers[speakerId]);
@@ -340,37 +367,365 @@ function scheduleTranslation(speakerId, inputLang, outputLang) {
   
   // Schedule new translation with throttle delay
   translationTimers[speakerId] = setTimeout(() => {
-    translateAndUpdateUtterance(speakerId, inputLang, outputLang);
+    translateAndUpdateUtterance(speakerId, inputLang, outputLangs);
     delete translationTimers[speakerId];
   }, Config.TRANSLATION_THROTTLE);
 }
 
 /**
- * Translate and update an active utterance
+ * Get the translation of an utterance into one output language
+ * @param {Object} utterance - Active or finalized utterance
+ * @param {string} outputLang - Output language
+ * @returns {string} - Translation, empty if there is none yet
+ */
+function getUtteranceTranslation(utterance, outputLang) {
+  if (!utterance.translations) return utterance.translatedText || '';
+  
+  return utterance.translations[outputLang] || '';
+}
+
+/**
+ * Store the translation of an utterance into one output language
+ * @param {Object} utterance - Active utterance
+ * @param {string} outputLang - Output language
+ * @param {string} translatedText - Translation
+ * @param {boolean} primary - Whether this is the main translation
+ * @returns {boolean} - True if the utterance changed
+ */
+function setUtteranceTranslation(utterance, outputLang, translatedText, primary) {
+  const translations = utterance.translations || (utterance.translations = {});
+  const changed = translations[outputLang] !== translatedText ||
+    (primary && utterance.translatedText !== translatedText);
+  
+  translations[outputLang] = translatedText;
+  if (primary) {
+    utterance.translatedText = translatedText;
+    utterance.translatedLang = outputLang;
+  }
+  
+  return changed;
+}
+
+/**
+ * Get the source language of a speaker's utterance
+ * With "Auto Detect" the language is detected from the caption and stored on
+ * the utterance (detectedLang); until it is known the request stays on "auto".
+ * @param {string} speakerId - ID of the speaker
+ * @param {string} inputLang - Selected input language
+ * @returns {string} - Language to translate from
+ */
+function getSourceLanguage(speakerId, inputLang) {
+  const utterance = activeSpeakers[speakerId];
+  if (!utterance || getLanguageCode(inputLang) !== AUTO_DETECT) return inputLang;
+  
+  const detectedLang = detectLanguage(utterance.fullText);
+  if (detectedLang && detectedLang !== utterance.detectedLang) {
+    debugLog(`Detected language for ${speakerId}: ${detectedLang}`);
+    utterance.detectedLang = detectedLang;
+  }
+  
+  return utterance.detectedLang || inputLang;
+}
+
+/**
+ * Check whether a caption is already in the target language
+ * @param {string} inputLang - Source language (detected or selected)
+ * @param {string} outputLang - Target language
+ * @returns {boolean} - True if translating can be skipped
+ */
+function isSameLanguage(inputLang, outputLang) {
+  const inputCode = getLanguageCode(inputLang);
+  
+  // Pair mode relies on it: captions in the display language stay as they are
+  const skip = Config.SKIP_SAME_LANGUAGE || getLanguagePair() !== null;
+  return skip && inputCode !== AUTO_DETECT && inputCode === getLanguageCode(outputLang);
+}
+
+/**
+ * Get the languages to translate a speaker's utterance from and into
+ * A language set for the speaker in the translation window replaces the
+ * selected input language. In pair mode the direction follows the source
+ * language: each caption goes into the other language of the pair, or
+ * everything into PAIR_DISPLAY_LANGUAGE.
+ * @param {string} speakerId - ID of the speaker
+ * @param {string} inputLang - Selected input language
+ * @param {string[]} outputLangs - Selected output languages
+ * @returns {Object} - { sourceLang, targetLangs, translate } where translate is
+ *   false if the speaker opted out of translation
+ */
+function getUtteranceLanguages(speakerId, inputLang, outputLangs) {
+  const utterance = activeSpeakers[speakerId];
+  const preference = getSpeakerPreference(utterance ? utterance.speaker : '');
+  const translate = preference.translate;
+  
+  const pair = getLanguagePair();
+  if (!pair) {
+    return {
+      sourceLang: getSourceLanguage(speakerId, preference.inputLang || inputLang),
+      targetLangs: outputLangs,
+      translate
+    };
+  }
+  
+  // Pair mode always detects, whatever input language is selected
+  const sourceLang = getSourceLanguage(speakerId, preference.inputLang || AUTO_DETECT);
+  const displayLang = getLanguageCode(Config.PAIR_DISPLAY_LANGUAGE);
+  
+  let targetLang;
+  if (pair.includes(displayLang)) {
+    targetLang = displayLang;
+  } else {
+    // Until the language is known, assume the first language of the pair is spoken
+    targetLang = getLanguageCode(sourceLang) === pair[1] ? pair[0] : pair[1];
+  }
+  
+  return { sourceLang, targetLangs: [targetLang], translate };
+}
+
+/**
+ * Show a speaker's caption as it is, for speakers opted out of translation
+ * @param {string} speakerId - ID of the speaker
+ * @param {string[]} targetLangs - Output languages (the first one is the main translation)
+ */
+function showOriginalText(speakerId, targetLangs) {
+  const utterance = activeSpeakers[speakerId];
+  if (!utterance) return;
+  
+  let changed = false;
+  targetLangs.forEach((outputLang, index) => {
+    changed = setUtteranceTranslation(utterance, outputLang, utterance.fullText, index === 0) || changed;
+  });
+  
+  if (changed) {
+    forceDisplayUpdate();
+  }
+}
+
+/**
+ * Get the last finalized utterances of the meeting, across all speakers
+ * @param {string} outputLang - Output language of the translations to include
+ * @returns {Object[]} - { speaker, original, translated }, oldest first
+ */
+function getConversationContext(outputLang) {
+  const count = Config.TRANSLATION_CONTEXT_UTTERANCES;
+  if (!count) return [];
+  
+  const finalized = [];
+  for (const speakerId in translatedUtterances) {
+    for (const utterance of translatedUtterances[speakerId]) {
+      if (!utterance.active && utterance.fullText) {
+        finalized.push(utterance);
+      }
+    }
+  }
+  
+  return finalized
+    .sort((a, b) => a.lastUpdated - b.lastUpdated)
+    .slice(-count)
+    .map(utterance => {
+      const translated = getUtteranceTranslation(utterance, outputLang);
+      
+      return {
+        speaker: utterance.speaker,
+        original: utterance.fullText,
+        // Placeholders are not translations
+        translated: isPlaceholderTranslation(translated) ? '' : translated
+      };
+    });
+}
+
+/**
+ * Check whether a translated text is only a status placeholder
+ * @param {string} text - Translated text
+ * @returns {boolean} - True for empty text and status messages
+ */
+function isPlaceholderTranslation(text) {
+  return !text || text === "..." || text === "Translating..." || text === "Continuing...";
+}
+
+/**
+ * Get the names of the meeting participants seen so far
+ * @returns {string[]} - Full names and their individual parts
+ */
+function getParticipantNames() {
+  if (!Config.MASK_SPEAKER_NAMES) return [];
+  
+  const names = new Set();
+  const addName = name => {
+    if (!name || name === "Unknown") return;
+    
+    names.add(name);
+    // Captions usually mention people by first or last name only
+    for (const part of name.split(/\s+/)) {
+      if (part.length >= 3) names.add(part);
+    }
+  };
+  
+  for (const speakerId in activeSpeakers) {
+    addName(activeSpeakers[speakerId].speaker);
+  }
+  for (const speakerId in translatedUtterances) {
+    (translatedUtterances[speakerId] || []).forEach(utterance => addName(utterance.speaker));
+  }
+  
+  return Array.from(names);
+}
+
+/**
+ * Get the text to send for a speaker's utterance
+ * In incremental mode only the unfinished tail is sent; the frozen
+ * sentences are passed on as an already translated prefix
  * @param {string} speakerId - ID of the speaker
  * @param {string} inputLang - Input language
  * @param {string} outputLang - Output language
+ * @param {boolean} primary - Whether this is the main translation
+ * @returns {Object} - { text, prefix, context, glossary, protectedTerms, primary } for translateText
  */
-async function translateAndUpdateUtterance(speakerId, inputLang, outputLang) {
-  if (!activeSpeakers[speakerId]) return;
+function getTranslationRequest(speakerId, inputLang, outputLang, primary) {
+  const utterance = activeSpeakers[speakerId];
+  const context = getConversationContext(outputLang);
+  const protectedTerms = getParticipantNames();
+  const glossaryTerms = getGlossaryTerms(inputLang, outputLang, getMeetingName());
+  
+  if (!Config.INCREMENTAL_TRANSLATION) {
+    return {
+      text: utterance.fullText,
+      prefix: '',
+      context,
+      glossary: findGlossaryMatches(utterance.fullText, glossaryTerms),
+      protectedTerms,
+      primary
+    };
+  }
+  
+  const { frozenTranslation, liveText } = getIncrementalSegments(
+    speakerId,
+    utterance.utteranceId,
+    utterance.fullText,
+    inputLang,
+    outputLang,
+    {
+      context,
+      glossaryTerms,
+      protectedTerms,
+      // Re-translate right away: the frozen part grew and the tail got shorter
+      onFrozen: () => translateUtteranceInto(speakerId, inputLang, outputLang, primary)
+    }
+  );
   
+  return {
+    text: liveText,
+    prefix: frozenTranslation,
+    context,
+    glossary: findGlossaryMatches(liveText, glossaryTerms),
+    protectedTerms,
+    primary
+  };
+}
+
+/**
+ * Check the translations of a speaker's utterance against the glossary
+ * Terms found in the caption whose required translation is missing are stored
+ * on the utterance, so the translation window can flag them.
+ * @param {string} speakerId - ID of the speaker
+ * @param {string} inputLang - Input language
+ * @param {string[]} outputLangs - Output languages
+ * @returns {boolean} - True if the missing terms changed
+ */
+function checkGlossaryTerms(speakerId, inputLang, outputLangs) {
   const utterance = activeSpeakers[speakerId];
-  const textToTranslate = utterance.fullText;
+  if (!utterance) return false;
+  
+  let missingTerms = [];
+  for (const outputLang of outputLangs) {
+    const translation = getUtteranceTranslation(utterance, outputLang);
+    if (isPlaceholderTranslation(translation)) continue;
+    
+    const matches = findGlossaryMatches(
+      utterance.fullText,
+      getGlossaryTerms(inputLang, outputLang, getMeetingName())
+    );
+    missingTerms = missingTerms.concat(
+      findMissingTerms(translation, matches).map(term => ({ ...term, outputLang }))
+    );
+  }
+  
+  const termKey = term => `${term.outputLang}:${term.source}`;
+  const previousSources = (utterance.missingTerms || []).map(termKey).join('|');
+  const sources = missingTerms.map(termKey).join('|');
+  utterance.missingTerms = missingTerms;
+  
+  if (sources && sources !== previousSources) {
+    debugLog(`Glossary terms not respected: ${missingTerms.map(term => term.source).join(', ')}`);
+  }
+  
+  return sources !== previousSources;
+}
 
-  debugLog(`Translating for ${speakerId}: ${textToTranslate.substring(0, 40)}...`);
+/**
+ * Translate and update an active utterance in every output language
+ * @param {string} speakerId - ID of the speaker
+ * @param {string} inputLang - Input language
+ * @param {string[]} outputLangs - Output languages (the first one is the main translation)
+ */
+async function translateAndUpdateUtterance(speakerId, inputLang, outputLangs) {
+  if (!activeSpeakers[speakerId]) return;
+  
+  const { sourceLang, targetLangs, translate } = getUtteranceLanguages(speakerId, inputLang, outputLangs);
+  if (!translate) {
+    showOriginalText(speakerId, targetLangs);
+    return;
+  }
+  
+  await Promise.all(targetLangs.map((outputLang, index) =>
+    translateUtteranceInto(speakerId, sourceLang, outputLang, index === 0, targetLangs)
+  ));
+}
+
+/**
+ * Translate and update an active utterance in one output language
+ * @param {string} speakerId - ID of the speaker
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {boolean} primary - Whether this is the main translation
+ * @param {string[]} [outputLangs] - All output languages (for the glossary check)
+ */
+async function translateUtteranceInto(speakerId, inputLang, outputLang, primary, outputLangs = [outputLang]) {
+  if (!activeSpeakers[speakerId]) return;
+  
+  // The caption is already in this language, show it as it is
+  if (isSameLanguage(inputLang, outputLang)) {
+    if (setUtteranceTranslation(activeSpeakers[speakerId], outputLang, activeSpeakers[speakerId].fullText, primary)) {
+      forceDisplayUpdate();
+    }
+    return;
+  }
+  
+  const request = getTranslationRequest(speakerId, inputLang, outputLang, primary);
+  const textToTranslate = request.text;
+
+  debugLog(`Translating for ${speakerId} into ${outputLang}: ${textToTranslate.substring(0, 40)}...`);
   
   try {
     // Translate the text
-    const translatedText = await translateText(speakerId, textToTranslate, inputLang, outputLang);
+    const translatedText = await translateText(speakerId, textToTranslate, inputLang, outputLang, {
+      ...request,
+      // A throttled caption comes back here, so its translation is stored like this one
+      onTrailing: () => translateUtteranceInto(speakerId, inputLang, outputLang, primary, outputLangs)
+    });
     
     // If this speaker is still active
     if (activeSpeakers[speakerId]) {
       // Set the translated text - even if partial or incomplete
-      if (translatedText && translatedText !== activeSpeakers[speakerId].translatedText) {
-        activeSpeakers[speakerId].translatedText = translatedText;
-        
+      const changed = Boolean(translatedText) &&
+        setUtteranceTranslation(activeSpeakers[speakerId], outputLang, translatedText, primary);
+      
+      // Flag glossary terms the current translations don't respect
+      const glossaryChanged = checkGlossaryTerms(speakerId, inputLang, outputLangs);
+      
+      if (changed) {
         // Log the translation
-        debugLog(`Translation update: ${(translatedText || "").substring(0, 40)}...`);
+        debugLog(`Translation update (${outputLang}): ${translatedText.substring(0, 40)}...`);
         
         // Update our map of translated utterances with current (possibly partial) translation
         updateTranslatedUtterancesMap(speakerId, {
@@ -378,23 +733,28 @@ async function translateAndUpdateUtterance(speakerId, inputLang, outputLang) {
           speaker: activeSpeakers[speakerId].speaker,
           speakerId: speakerId,
           original: activeSpeakers[speakerId].fullText,
-          translated: translatedText,
+          translated: activeSpeakers[speakerId].translatedText,
+          translations: { ...activeSpeakers[speakerId].translations },
           timestamp: new Date().toLocaleTimeString(),
           active: true,
           avatar: activeSpeakers[speakerId].avatar
         });
-        
-        // Force update of display
+      }
+      
+      // Force update of display
+      if (changed || glossaryChanged) {
         forceDisplayUpdate();
       }
     }
   } catch (error) {
-    console.error("Error in translateAndUpdateUtterance:", error);
+    console.error("Error in translateUtteranceInto:", error);
     // If translation failed, don't stop trying - schedule another attempt
     if (activeSpeakers[speakerId] && activeSpeakers[speakerId].active) {
-      translationTimers[speakerId] = setTimeout(() => {
-        translateAndUpdateUtterance(speakerId, inputLang, outputLang);
-        delete translationTimers[speakerId];
+      const timerKey = `${speakerId}:${outputLang}`;
+      clearTimeout(translationTimers[timerKey]);
+      translationTimers[timerKey] = setTimeout(() => {
+        delete translationTimers[timerKey];
+        translateUtteranceInto(speakerId, inputLang, outputLang, primary, outputLangs);
       }, Config.TRANSLATION_THROTTLE);
     }
   }
@@ -491,9 +851,9 @@ function validateUtterancesMap() {
  * Finalize a speech segment, marking it as complete
  * @param {string} speakerId - ID of the speaker
  * @param {string} inputLang - Input language
- * @param {string} outputLang - Output language
+ * @param {string[]} outputLangs - Output languages (the first one is the main translation)
  */
-async function finalizeSpeech(speakerId, inputLang, outputLang) {
+async function finalizeSpeech(speakerId, inputLang, outputLangs) {
   // Skip if the speaker is not active or if we're currently clearing
   if (!activeSpeakers[speakerId] || isClearing) {
     return;
@@ -509,20 +869,35 @@ async function finalizeSpeech(speakerId, inputLang, outputLang) {
     // If so, finalize the current portion but don't mark as inactive
     const maxLength = Config.MAX_SPEECH_SEGMENT_LENGTH || 1000;
     const isExcessivelyLong = currentUtterance.fullText.length > maxLength;
+    const { sourceLang, targetLangs, translate } = getUtteranceLanguages(speakerId, inputLang, outputLangs);
     
-    // Only do a final translation if needed
-    if (isExcessivelyLong || !currentUtterance.translatedText || currentUtterance.translatedText === "Translating...") {
-      // Do a final translation
-      const finalText = await translateText(
-        speakerId,
-        currentUtterance.fullText,
-        inputLang,
-        outputLang
-      );
+    // Only do a final translation if needed (per output language)
+    await Promise.all(targetLangs.map(async (outputLang, index) => {
+      const primary = index === 0;
       
-      // Update the translated text
-      currentUtterance.translatedText = finalText;
-    }
+      // Opted out or already in this language: the final "translation" is the caption itself
+      if (!translate || isSameLanguage(sourceLang, outputLang)) {
+        setUtteranceTranslation(currentUtterance, outputLang, currentUtterance.fullText, primary);
+        return;
+      }
+      
+      const currentTranslation = getUtteranceTranslation(currentUtterance, outputLang);
+      if (!isExcessivelyLong && !isPlaceholderTranslation(currentTranslation)) return;
+      
+      // Do a final translation (ahead of live updates in the request queue)
+      const request = getTranslationRequest(speakerId, sourceLang, outputLang, primary);
+      const finalText = await translateText(speakerId, request.text, sourceLang, outputLang, {
+        ...request,
+        priority: 1
+      });
+      
+      // Update the translated text (null means a newer request replaced this one)
+      if (finalText) {
+        setUtteranceTranslation(currentUtterance, outputLang, finalText, primary);
+      }
+    }));
+    
+    checkGlossaryTerms(speakerId, sourceLang, targetLangs);
     
     // If the text is excessively long, truncate it for performance but keep the speaker active
     if (isExcessivelyLong) {
@@ -534,6 +909,7 @@ async function finalizeSpeech(speakerId, inputLang, outputLang) {
         ...currentUtterance,
         active: false // Mark as inactive to show it's done
       });
+      recordUtterance(speakerId, currentUtterance);
       
       // Keep the speaker active but start a fresh utterance
       // Important: retain the original speaker information
@@ -542,23 +918,26 @@ async function finalizeSpeech(speakerId, inputLang, outputLang) {
         fullText: "", // Start fresh for the next segment
         lastTime: Date.now(),
         translatedText: "Continuing...",
+        translations: {},
         utteranceId: newUtteranceId,
         active: true,
         avatar: currentUtterance.avatar
       };
       
       // Force a display update
-      updateTranslationsDisplay(translatedUtterances, activeSpeakers);
+      forceDisplayUpdate();
       
       // Don't finalize any further
       return;
     }
     
     // For normal utterances (not excessively long), proceed with finalization
+    clearIncrementalState(speakerId);
     updateTranslatedUtterancesMap(speakerId, {
       ...currentUtterance,
       active: false
     });
+    recordUtterance(speakerId, currentUtterance);
     
     // Remove from active speakers (but only if we have a valid translation to show)
     if (currentUtterance.translatedText && currentUtterance.translatedText !== "Translating...") {
@@ -566,7 +945,7 @@ async function finalizeSpeech(speakerId, inputLang, outputLang) {
     }
     
     // Update UI
-    updateTranslationsDisplay(translatedUtterances, activeSpeakers);
+    forceDisplayUpdate();
   } catch (error) {
     console.error("Error finalizing speech:", error);
     debugLog(`Error finalizing speech: ${error.message}`);
@@ -598,6 +977,8 @@ function clearSubtitleData() {
     
     // Clear other data structures
     knownSubtitles.clear();
+    currentSpeakerId = null;
+    clearIncrementalState();
     lastFullTextBySpeaker = {};
     
     // Update display with empty data
@@ -642,10 +1023,10 @@ function getTranslatedUtterances() {
 
 // Create a debounced version of processSubtitles
 let debounceTimer;
-function debounceProcessSubtitles(isTranslationActive, inputLang, outputLang) {
+function debounceProcessSubtitles(isTranslationActive, inputLang, outputLangs) {
   clearTimeout(debounceTimer);
   debounceTimer = setTimeout(() => {
-    processSubtitles(isTranslationActive, inputLang, outputLang);
+    processSubtitles(isTranslationActive, inputLang, outputLangs);
   }, Config.DEBOUNCE_DELAY);
 }
 
@@ -658,5 +1039,6 @@ export {
   clearSubtitleData,
   getActiveSpeakers,
   getTranslatedUtterances,
-  resetKnownSubtitles
+  resetKnownSubtitles,
+  forceDisplayUpdate
 };
\ No newline at end of file
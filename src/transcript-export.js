@@ -0,0 +1,263 @@
+// Transcript export
+// Formats the utterances of the translation window as subtitles (SRT, WebVTT)
+// timed from the start of the meeting, as JSON, or as minutes (Markdown, text).
+// JSON and minutes include the meeting summary when one was generated.
+import Config from './config.js';
+import { formatSummaryMarkdown, formatSummaryText } from './meeting-summary.js';
+
+// Export formats offered in the translation window
+const EXPORT_FORMATS = [
+  { value: 'srt', label: 'Subtitles (.srt)', extension: 'srt', mimeType: 'application/x-subrip' },
+  { value: 'vtt', label: 'WebVTT (.vtt)', extension: 'vtt', mimeType: 'text/vtt' },
+  { value: 'json', label: 'JSON (.json)', extension: 'json', mimeType: 'application/json' },
+  { value: 'md', label: 'Markdown minutes (.md)', extension: 'md', mimeType: 'text/markdown' },
+  { value: 'txt', label: 'Plain text (.txt)', extension: 'txt', mimeType: 'text/plain' }
+];
+
+// Shortest subtitle cue, so captions that were finalized right away stay readable
+const MIN_CUE_DURATION = 1000;
+
+/**
+ * Format an utterance as plain text in the bilingual display mode
+ * @param {string} original - Original caption
+ * @param {Object[]} translations - { lang, text } per target language
+ * @returns {string} - Text for the clipboard and exports
+ */
+function formatUtteranceText(original, translations) {
+  const translated = translations
+    .map(translation => translations.length > 1 ? `[${translation.lang}] ${translation.text}` : translation.text)
+    .join('\n');
+  
+  switch (Config.BILINGUAL_DISPLAY_MODE) {
+    case 'stacked':
+      return original ? `${original}\n${translated}` : translated;
+    case 'side-by-side':
+      return original ? `${original} | ${translated.split('\n').join(' | ')}` : translated;
+    default:
+      return translated;
+  }
+}
+
+/**
+ * Format a cue time
+ * @param {number} ms - Milliseconds since the start of the meeting
+ * @param {string} fractionSeparator - ',' for SRT, '.' for WebVTT
+ * @returns {string} - Time as HH:MM:SS,mmm
+ */
+function formatCueTime(ms, fractionSeparator) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const totalSeconds = Math.floor(ms / 1000);
+  
+  return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}` +
+    `${fractionSeparator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Get the cue times of the utterances relative to the start of the meeting
+ * @param {Object} transcript - Transcript, see exportTranscript
+ * @returns {Object[]} - { utterance, start, end } in milliseconds
+ */
+function getCues(transcript) {
+  return transcript.utterances.map(utterance => {
+    const start = Math.max(0, utterance.start - transcript.startedAt);
+    const end = Math.max(start + MIN_CUE_DURATION, utterance.end - transcript.startedAt);
+    
+    return { utterance, start, end };
+  });
+}
+
+/**
+ * Get the text of an utterance in the bilingual display mode
+ * @param {Object} utterance - Transcript utterance
+ * @returns {string} - Utterance text
+ */
+function getUtteranceText(utterance) {
+  return formatUtteranceText(utterance.original, utterance.translations);
+}
+
+/**
+ * Escape text for a WebVTT cue
+ * @param {string} text - Cue text
+ * @returns {string} - Escaped text
+ */
+function escapeVttText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Format a transcript as SubRip subtitles
+ * @param {Object} transcript - Transcript, see exportTranscript
+ * @returns {string} - SRT file content
+ */
+function formatSrt(transcript) {
+  return getCues(transcript).map((cue, index) => [
+    index + 1,
+    `${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}`,
+    `${cue.utterance.speaker}: ${getUtteranceText(cue.utterance)}`
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * Format a transcript as WebVTT subtitles, with the speaker as voice
+ * @param {Object} transcript - Transcript, see exportTranscript
+ * @returns {string} - WebVTT file content
+ */
+function formatWebVtt(transcript) {
+  const cues = getCues(transcript).map((cue, index) => [
+    index + 1,
+    `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`,
+    `<v ${escapeVttText(cue.utterance.speaker)}>${escapeVttText(getUtteranceText(cue.utterance))}`
+  ].join('\n'));
+  
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Format a transcript as JSON with the full utterances
+ * @param {Object} transcript - Transcript, see exportTranscript
+ * @returns {string} - JSON file content
+ */
+function formatJson(transcript) {
+  return JSON.stringify({
+    meeting: transcript.meetingName,
+    startedAt: new Date(transcript.startedAt).toISOString(),
+    exportedAt: new Date().toISOString(),
+    utterances: transcript.utterances.map(utterance => ({
+      id: utterance.id,
+      speaker: utterance.speaker,
+      speakerId: utterance.speakerId,
+      start: new Date(utterance.start).toISOString(),
+      end: new Date(utterance.end).toISOString(),
+      original: utterance.original,
+      sourceLang: utterance.detectedLang || null,
+      translation: utterance.translation,
+      translatedLang: utterance.translatedLang || null,
+      translations: utterance.translationsByLang
+    })),
+    summary: transcript.summary || null
+  }, null, 2) + '\n';
+}
+
+/**
+ * Get the title of the minutes
+ * @param {Object} transcript - Transcript, see exportTranscript
+ * @returns {string} - Meeting name and date
+ */
+function getMinutesTitle(transcript) {
+  const date = new Date(transcript.startedAt).toLocaleString();
+  return transcript.meetingName ? `${transcript.meetingName} (${date})` : `Meeting transcript (${date})`;
+}
+
+/**
+ * Format a transcript as Markdown minutes
+ * @param {Object} transcript - Transcript, see exportTranscript
+ * @returns {string} - Markdown file content
+ */
+function formatMarkdown(transcript) {
+  const lines = transcript.utterances.map(utterance => {
+    const time = new Date(utterance.start).toLocaleTimeString();
+    const text = getUtteranceText(utterance).split('\n').join('  \n');
+    return `**${utterance.speaker}** (${time}): ${text}`;
+  });
+  
+  if (transcript.summary) {
+    return [`# ${getMinutesTitle(transcript)}`, formatSummaryMarkdown(transcript.summary), '## Transcript', ...lines]
+      .join('\n\n') + '\n';
+  }
+  
+  return [`# ${getMinutesTitle(transcript)}`, ...lines].join('\n\n') + '\n';
+}
+
+/**
+ * Format a transcript as plain text minutes
+ * @param {Object} transcript - Transcript, see exportTranscript
+ * @returns {string} - Text file content
+ */
+function formatText(transcript) {
+  const lines = transcript.utterances.map(utterance => {
+    const time = new Date(utterance.start).toLocaleTimeString();
+    const text = getUtteranceText(utterance).split('\n').join('\n    ');
+    return `[${time}] ${utterance.speaker}: ${text}`;
+  });
+  
+  if (transcript.summary) {
+    return [getMinutesTitle(transcript), '', formatSummaryText(transcript.summary), '', 'TRANSCRIPT', '', ...lines]
+      .join('\n') + '\n';
+  }
+  
+  return [getMinutesTitle(transcript), '', ...lines].join('\n') + '\n';
+}
+
+/**
+ * Get the file name of an export
+ * @param {Object} transcript - Transcript, see exportTranscript
+ * @param {string} extension - File extension
+ * @returns {string} - File name from the meeting name and date
+ */
+function getExportFilename(transcript, extension) {
+  const name = (transcript.meetingName || 'teams-transcript')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '') || 'teams-transcript';
+  const date = new Date(transcript.startedAt);
+  const pad = value => String(value).padStart(2, '0');
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+  
+  return `${name}-${stamp}.${extension}`;
+}
+
+/**
+ * Export a transcript
+ * @param {string} format - Export format ('srt', 'vtt', 'json', 'md' or 'txt')
+ * @param {Object} transcript - { meetingName, startedAt, utterances, summary }: utterances
+ *   ordered by start, each with { id, speaker, speakerId, start, end, original,
+ *   detectedLang, translation, translatedLang, translations, translationsByLang }
+ *   where translations are the { lang, text } shown in the window, and the optional
+ *   summary from summarizeMeeting (not part of subtitle exports)
+ * @returns {Object} - { content, filename, mimeType }
+ */
+function exportTranscript(format, transcript) {
+  const exportFormat = EXPORT_FORMATS.find(option => option.value === format);
+  if (!exportFormat) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  
+  const formatters = {
+    srt: formatSrt,
+    vtt: formatWebVtt,
+    json: formatJson,
+    md: formatMarkdown,
+    txt: formatText
+  };
+  
+  return {
+    content: formatters[format](transcript),
+    filename: getExportFilename(transcript, exportFormat.extension),
+    mimeType: exportFormat.mimeType
+  };
+}
+
+/**
+ * Let the browser download an export
+ * @param {Document} targetDocument - Document of the page that offers the download
+ * @param {Object} file - { content, filename, mimeType } from exportTranscript
+ */
+function downloadExport(targetDocument, { content, filename, mimeType }) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  
+  const link = targetDocument.createElement('a');
+  link.href = url;
+  link.download = filename;
+  targetDocument.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export {
+  EXPORT_FORMATS,
+  formatUtteranceText,
+  exportTranscript,
+  downloadExport
+};
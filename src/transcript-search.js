@@ -0,0 +1,294 @@
+// Transcript search
+// Search box and filters of the translation window. Matches are highlighted with
+// the CSS Custom Highlight API and filtered utterances only get a class, so the
+// elements updateTranslationsDisplay updates in place are never replaced.
+
+// Names of the highlights styled with ::highlight() in the window markup
+const MATCH_HIGHLIGHT = 'transcript-search-match';
+const CURRENT_HIGHLIGHT = 'transcript-search-current';
+
+// Elements whose text is searched (originals only when the bilingual mode shows them)
+const TRANSLATION_SELECTOR = '.utterance-text';
+const ORIGINAL_SELECTOR = '.original-text';
+
+// Ranges of the matches in document order
+let matches = [];
+
+// Index of the match jumped to (-1 if none)
+let currentMatch = -1;
+
+// Query the matches were found for
+let lastQuery = '';
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse the value of a time input
+ * @param {string} value - Time as HH:MM
+ * @returns {number|null} - Minutes since midnight, null if empty
+ */
+function parseTimeInput(value) {
+  if (!value) return null;
+  
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check if an utterance was spoken within the time range
+ * @param {HTMLElement} utteranceEl - Utterance element (its ID is the start time)
+ * @param {number|null} from - Start of the range in minutes since midnight
+ * @param {number|null} to - End of the range in minutes since midnight
+ * @returns {boolean} - True if within the range
+ */
+function isInTimeRange(utteranceEl, from, to) {
+  if (from === null && to === null) return true;
+  
+  const start = new Date(Number(utteranceEl.dataset.utteranceId));
+  const minutes = start.getHours() * 60 + start.getMinutes();
+  
+  if (from !== null && to !== null && to < from) {
+    // Range across midnight
+    return minutes >= from || minutes <= to;
+  }
+  return (from === null || minutes >= from) && (to === null || minutes <= to);
+}
+
+/**
+ * Keep the speaker filter options in line with the speakers shown
+ * @param {Document} doc - Window document
+ * @param {HTMLSelectElement} speakerSelect - Speaker filter
+ * @param {HTMLElement[]} speakerBlocks - Speaker blocks
+ */
+function updateSpeakerOptions(doc, speakerSelect, speakerBlocks) {
+  const speakers = speakerBlocks.map(block => ({
+    id: block.dataset.speakerId,
+    name: block.dataset.speakerName || block.dataset.speakerId
+  }));
+  
+  const signature = speakers.map(speaker => `${speaker.id}:${speaker.name}`).join('|');
+  if (speakerSelect.dataset.signature === signature) return;
+  speakerSelect.dataset.signature = signature;
+  
+  const selected = speakerSelect.value;
+  speakerSelect.innerHTML = '';
+  
+  const allOption = doc.createElement('option');
+  allOption.value = '';
+  allOption.textContent = 'All speakers';
+  speakerSelect.appendChild(allOption);
+  
+  speakers
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(speaker => {
+      const optionEl = doc.createElement('option');
+      optionEl.value = speaker.id;
+      optionEl.textContent = speaker.name;
+      speakerSelect.appendChild(optionEl);
+    });
+  
+  // A filtered speaker stays selected until it's gone (e.g. after Clear All)
+  speakerSelect.value = speakers.some(speaker => speaker.id === selected) ? selected : '';
+}
+
+/**
+ * Hide the utterances outside the speaker and time filters
+ * @param {Document} doc - Window document
+ * @param {HTMLElement[]} speakerBlocks - Speaker blocks
+ */
+function applyFilters(doc, speakerBlocks) {
+  const speakerFilter = doc.getElementById('speaker-filter-select').value;
+  const from = parseTimeInput(doc.getElementById('time-from-input').value);
+  const to = parseTimeInput(doc.getElementById('time-to-input').value);
+  
+  speakerBlocks.forEach(block => {
+    const speakerMatches = !speakerFilter || block.dataset.speakerId === speakerFilter;
+    let visibleUtterances = 0;
+    
+    block.querySelectorAll('.utterance').forEach(utteranceEl => {
+      const visible = speakerMatches && isInTimeRange(utteranceEl, from, to);
+      utteranceEl.classList.toggle('filtered-out', !visible);
+      if (visible) visibleUtterances++;
+    });
+    
+    block.classList.toggle('filtered-out', visibleUtterances === 0);
+  });
+}
+
+/**
+ * Find the matches of a query in the visible utterances
+ * @param {Document} doc - Window document
+ * @param {string} query - Search text
+ * @returns {Range[]} - Ranges of the matches in document order
+ */
+function findMatches(doc, query) {
+  if (!query) return [];
+  
+  const pattern = new RegExp(escapeRegExp(query), 'giu');
+  const found = [];
+  
+  const subtitlesContainer = doc.getElementById('subtitles-container');
+  const selector = subtitlesContainer.classList.contains('mode-translation')
+    ? TRANSLATION_SELECTOR
+    : `${ORIGINAL_SELECTOR}, ${TRANSLATION_SELECTOR}`;
+  
+  subtitlesContainer.querySelectorAll(`.utterance:not(.filtered-out) :is(${selector})`).forEach(element => {
+    const walker = doc.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      for (const match of node.textContent.matchAll(pattern)) {
+        const range = doc.createRange();
+        range.setStart(node, match.index);
+        range.setEnd(node, match.index + match[0].length);
+        found.push(range);
+      }
+    }
+  });
+  
+  return found;
+}
+
+/**
+ * Show the matches and the current match
+ * @param {Document} doc - Window document
+ */
+function renderHighlights(doc) {
+  const win = doc.defaultView;
+  
+  if (win.CSS && win.CSS.highlights && win.Highlight) {
+    const current = matches[currentMatch];
+    win.CSS.highlights.set(MATCH_HIGHLIGHT, new win.Highlight(...matches.filter(range => range !== current)));
+    win.CSS.highlights.set(CURRENT_HIGHLIGHT, current ? new win.Highlight(current) : new win.Highlight());
+  }
+  
+  const countEl = doc.getElementById('search-count');
+  if (countEl) {
+    if (!lastQuery) {
+      countEl.textContent = '';
+    } else {
+      countEl.textContent = matches.length === 0 ? 'No matches' : `${currentMatch + 1}/${matches.length}`;
+    }
+  }
+}
+
+/**
+ * Find the index of the match at the same place as a previous match
+ * @param {Range} previous - Previous match
+ * @returns {number} - Index in the matches, -1 if it's gone
+ */
+function findSameMatch(previous) {
+  return matches.findIndex(range =>
+    range.startContainer === previous.startContainer && range.startOffset === previous.startOffset
+  );
+}
+
+/**
+ * Apply the search and filters to the transcript
+ * Called after every display update: new utterances are filtered and searched,
+ * and the current match is kept while the text around it changes.
+ * @param {Document} doc - Window document
+ */
+function applyTranscriptSearch(doc) {
+  const searchInput = doc.getElementById('search-input');
+  const speakerSelect = doc.getElementById('speaker-filter-select');
+  if (!searchInput || !speakerSelect) return;
+  
+  const speakerBlocks = Array.from(doc.querySelectorAll('#subtitles-container .speaker-block'));
+  updateSpeakerOptions(doc, speakerSelect, speakerBlocks);
+  applyFilters(doc, speakerBlocks);
+  
+  const query = searchInput.value.trim();
+  const previous = matches[currentMatch];
+  matches = findMatches(doc, query);
+  
+  if (query !== lastQuery) {
+    lastQuery = query;
+    currentMatch = matches.length > 0 ? 0 : -1;
+    if (currentMatch >= 0) {
+      scrollToMatch(doc);
+    }
+  } else if (previous) {
+    const sameMatch = findSameMatch(previous);
+    currentMatch = sameMatch >= 0 ? sameMatch : Math.min(currentMatch, matches.length - 1);
+  } else {
+    currentMatch = matches.length > 0 ? 0 : -1;
+  }
+  
+  renderHighlights(doc);
+}
+
+/**
+ * Scroll the current match into view
+ * Auto-scroll is turned off, otherwise the next update would scroll away from it.
+ * @param {Document} doc - Window document
+ */
+function scrollToMatch(doc) {
+  const range = matches[currentMatch];
+  if (!range) return;
+  
+  const autoScrollCheckbox = doc.getElementById('auto-scroll-checkbox');
+  if (autoScrollCheckbox) {
+    autoScrollCheckbox.checked = false;
+  }
+  
+  range.startContainer.parentElement.scrollIntoView({ block: 'center' });
+}
+
+/**
+ * Jump to the next or previous match
+ * @param {Document} doc - Window document
+ * @param {number} step - 1 for the next match, -1 for the previous one
+ */
+function jumpToMatch(doc, step) {
+  if (matches.length === 0) return;
+  
+  currentMatch = (currentMatch + step + matches.length) % matches.length;
+  renderHighlights(doc);
+  scrollToMatch(doc);
+}
+
+/**
+ * Set up the search box and filters of a translation window
+ * @param {Document} doc - Window document
+ */
+function setupTranscriptSearch(doc) {
+  const searchInput = doc.getElementById('search-input');
+  if (!searchInput) return;
+  
+  // A new window starts without a search
+  matches = [];
+  currentMatch = -1;
+  lastQuery = '';
+  
+  searchInput.addEventListener('input', () => applyTranscriptSearch(doc));
+  searchInput.addEventListener('keydown', event => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      jumpToMatch(doc, event.shiftKey ? -1 : 1);
+    } else if (event.key === 'Escape') {
+      searchInput.value = '';
+      applyTranscriptSearch(doc);
+    }
+  });
+  
+  doc.getElementById('search-prev').addEventListener('click', () => jumpToMatch(doc, -1));
+  doc.getElementById('search-next').addEventListener('click', () => jumpToMatch(doc, 1));
+  
+  ['speaker-filter-select', 'time-from-input', 'time-to-input'].forEach(id => {
+    doc.getElementById(id).addEventListener('change', () => applyTranscriptSearch(doc));
+  });
+  
+  applyTranscriptSearch(doc);
+}
+
+export {
+  setupTranscriptSearch,
+  applyTranscriptSearch
+};
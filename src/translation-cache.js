@@ -0,0 +1,282 @@
+// Persistent translation cache
+// Stored in IndexedDB in the background worker, so it is shared by all tabs and survives
+// reloads. Entries expire after TRANSLATION_CACHE_TTL and the least recently used ones
+// are evicted once the cache grows past TRANSLATION_CACHE_MAX_BYTES.
+import Config from './config.js';
+import { debugLog } from './utils.js';
+
+const DB_NAME = 'translation-cache';
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries';
+const META_STORE = 'meta';
+const STATS_KEY = 'stats';
+
+let dbPromise = null;
+let totalSize = null; // Sum of entry sizes, computed lazily
+let stats = null; // { hits, misses, evictions }
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} - Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to complete
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+  });
+}
+
+/**
+ * Open (and create if needed) the cache database
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const entries = db.createObjectStore(ENTRIES_STORE, { keyPath: 'key' });
+      entries.createIndex('lastUsed', 'lastUsed');
+      db.createObjectStore(META_STORE);
+    };
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  
+  return dbPromise;
+}
+
+/**
+ * Build the cache key for a translation
+ * @param {Object} entry - Provider, model, languages, source text and the fingerprint
+ *   of the prompts, glossary, context and masking of the request
+ * @returns {string} - Cache key
+ */
+function getCacheKey({ provider, model, inputLang, outputLang, fingerprint, text }) {
+  return [provider, model || '', inputLang, outputLang, fingerprint || '', text].join('|');
+}
+
+/**
+ * Estimate the stored size of an entry in bytes
+ * @param {string} text - Source text
+ * @param {string} translation - Translated text
+ * @returns {number} - Approximate size (UTF-16)
+ */
+function getEntrySize(text, translation) {
+  return (text.length + translation.length) * 2;
+}
+
+/**
+ * Load statistics and total size from the database
+ * @param {IDBDatabase} db - Database
+ * @returns {Promise<void>}
+ */
+async function loadMetadata(db) {
+  if (stats && totalSize !== null) return;
+  
+  const transaction = db.transaction([ENTRIES_STORE, META_STORE], 'readonly');
+  const storedStats = await promisifyRequest(transaction.objectStore(META_STORE).get(STATS_KEY));
+  const entries = await promisifyRequest(transaction.objectStore(ENTRIES_STORE).getAll());
+  
+  stats = storedStats || { hits: 0, misses: 0, evictions: 0 };
+  totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+}
+
+/**
+ * Persist the hit/miss counters within a transaction
+ * @param {IDBTransaction} transaction - Transaction that includes the meta store
+ */
+function saveStats(transaction) {
+  transaction.objectStore(META_STORE).put(stats, STATS_KEY);
+}
+
+/**
+ * Look up a cached translation
+ * @param {Object} lookup - Provider, model, languages, fingerprint and source text
+ * @returns {Promise<string|null>} - Cached translation, or null on a miss
+ */
+async function getCachedTranslation(lookup) {
+  if (!Config.TRANSLATION_CACHE_ENABLED) return null;
+  
+  const db = await openDatabase();
+  await loadMetadata(db);
+  
+  const key = getCacheKey(lookup);
+  const transaction = db.transaction([ENTRIES_STORE, META_STORE], 'readwrite');
+  const entries = transaction.objectStore(ENTRIES_STORE);
+  const entry = await promisifyRequest(entries.get(key));
+  const now = Date.now();
+  
+  let translation = null;
+  if (entry && now - entry.createdAt <= Config.TRANSLATION_CACHE_TTL) {
+    // Touch the entry so it counts as recently used
+    entry.lastUsed = now;
+    entries.put(entry);
+    stats.hits++;
+    translation = entry.translation;
+  } else {
+    if (entry) {
+      // Expired
+      entries.delete(key);
+      totalSize -= entry.size || 0;
+    }
+    stats.misses++;
+  }
+  
+  saveStats(transaction);
+  await transactionDone(transaction);
+  
+  return translation;
+}
+
+/**
+ * Store a translation and evict old entries if the cache is over budget
+ * @param {Object} entry - Provider, model, languages, fingerprint, source text and translation
+ * @returns {Promise<void>}
+ */
+async function cacheTranslation({ provider, model, inputLang, outputLang, fingerprint, text, translation }) {
+  if (!Config.TRANSLATION_CACHE_ENABLED || !translation) return;
+  
+  const db = await openDatabase();
+  await loadMetadata(db);
+  
+  const key = getCacheKey({ provider, model, inputLang, outputLang, fingerprint, text });
+  const size = getEntrySize(text, translation);
+  const now = Date.now();
+  
+  const transaction = db.transaction(ENTRIES_STORE, 'readwrite');
+  const entries = transaction.objectStore(ENTRIES_STORE);
+  const existing = await promisifyRequest(entries.get(key));
+  
+  entries.put({
+    key,
+    provider,
+    model: model || '',
+    inputLang,
+    outputLang,
+    text,
+    translation,
+    size,
+    createdAt: now,
+    lastUsed: now
+  });
+  
+  await transactionDone(transaction);
+  totalSize += size - (existing ? existing.size || 0 : 0);
+  
+  if (totalSize > Config.TRANSLATION_CACHE_MAX_BYTES) {
+    await evictEntries(db);
+  }
+}
+
+/**
+ * Remove expired entries, then least recently used ones until the cache fits
+ * the budget again (with some headroom to avoid evicting on every write)
+ * @param {IDBDatabase} db - Database
+ * @returns {Promise<void>}
+ */
+async function evictEntries(db) {
+  const targetSize = Config.TRANSLATION_CACHE_MAX_BYTES * 0.9;
+  const now = Date.now();
+  let evicted = 0;
+  
+  const transaction = db.transaction([ENTRIES_STORE, META_STORE], 'readwrite');
+  const index = transaction.objectStore(ENTRIES_STORE).index('lastUsed');
+  
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      
+      const entry = cursor.value;
+      const isExpired = now - entry.createdAt > Config.TRANSLATION_CACHE_TTL;
+      
+      if (isExpired || totalSize > targetSize) {
+        cursor.delete();
+        totalSize -= entry.size || 0;
+        evicted++;
+      }
+      
+      cursor.continue();
+    };
+  });
+  
+  stats.evictions += evicted;
+  saveStats(transaction);
+  await transactionDone(transaction);
+  
+  debugLog(`Translation cache evicted ${evicted} entries`);
+}
+
+/**
+ * Get cache statistics
+ * @returns {Promise<Object>} - Entry count, size, budget, hits, misses and evictions
+ */
+async function getCacheStats() {
+  const db = await openDatabase();
+  await loadMetadata(db);
+  
+  const transaction = db.transaction(ENTRIES_STORE, 'readonly');
+  const entryCount = await promisifyRequest(transaction.objectStore(ENTRIES_STORE).count());
+  const lookups = stats.hits + stats.misses;
+  
+  return {
+    entries: entryCount,
+    size: totalSize,
+    maxSize: Config.TRANSLATION_CACHE_MAX_BYTES,
+    hits: stats.hits,
+    misses: stats.misses,
+    evictions: stats.evictions,
+    hitRate: lookups > 0 ? stats.hits / lookups : 0
+  };
+}
+
+/**
+ * Remove every cached translation and reset the counters
+ * @returns {Promise<void>}
+ */
+async function clearTranslationCache() {
+  const db = await openDatabase();
+  
+  const transaction = db.transaction([ENTRIES_STORE, META_STORE], 'readwrite');
+  transaction.objectStore(ENTRIES_STORE).clear();
+  stats = { hits: 0, misses: 0, evictions: 0 };
+  saveStats(transaction);
+  await transactionDone(transaction);
+  
+  totalSize = 0;
+  debugLog("Translation cache cleared");
+}
+
+export {
+  getCachedTranslation,
+  cacheTranslation,
+  getCacheStats,
+  clearTranslationCache
+};
@@ -1,21 +1,32 @@
 // Translation service
 import Config from './config.js';
 import { debugLog } from './utils.js';
+import {
+  createRemoteProvider,
+  getCachedTranslation,
+  cacheTranslation
+} from './background-client.js';
+import { scheduleRequest, cancelAllRequests } from './request-scheduler.js';
+import { maskEntities, unmaskEntities } from './entity-masking.js';
 
 // Keep track of translation requests
 let translationInProgress = {}; // Track if translation is currently in progress
-let translationCache = new Map(); // Cache for translations to avoid duplicate requests
 let partialTranslations = {}; // For storing partial translations to be shown in the UI
 let lastApiRequestTime = 0; // Track last API request time for rate limiting
 let activeTimers = {}; // Track active timers for each speaker
 let lastTranslatedText = {}; // Track the last text we translated for each speaker
 let lastProcessedTime = {}; // Track when we last processed text for each speaker
+let trailingTranslations = {}; // Newest text that arrived while throttled, per speaker
+let activeProvider = createRemoteProvider(Config.DEFAULT_PROVIDER); // Provider used for this session (runs in the background worker)
 
 // Anti-loop detection
 let translationRepeatCount = {}; // Track how many times we've seen the same translation
 let lastTranslationBySpeaker = {}; // Last translation for each speaker
 const MAX_REPEAT_COUNT = 3; // Maximum number of times we allow the same translation before flagging as a loop
 
+// Meeting summaries wait for the live translations
+const SUMMARY_PRIORITY = -1;
+
 // Check if enough time has passed since the last translation
 function hasTimePassedForTranslation(speakerId) {
   const now = Date.now();
@@ -30,6 +41,88 @@ function hasTimePassedForTranslation(speakerId) {
   return false;
 }
 
+/**
+ * Get the key of the per-language translation state of a speaker
+ * @param {string} speakerId - The speaker ID
+ * @param {string} outputLang - Output language
+ * @returns {string} - State key
+ */
+function getTranslationKey(speakerId, outputLang) {
+  return `${speakerId}:${outputLang}`;
+}
+
+/**
+ * Fingerprint everything besides the text that shapes a translation, so cached
+ * translations are only reused for the same prompts, glossary, context and masking
+ * @param {Object} masked - Masked text and context, see maskEntities
+ * @param {Object} options - Translation options
+ * @returns {Promise<string>} - SHA-256 of the request inputs (hex)
+ */
+async function getRequestFingerprint(masked, options) {
+  const inputs = JSON.stringify([
+    Config.TRANSLATION_SYSTEM_PROMPT,
+    Config.TRANSLATION_GLOSSARY_PROMPT,
+    Config.TRANSLATION_CONTEXT_PROMPT,
+    options.glossary || [],
+    masked.context || [],
+    masked.text
+  ]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(inputs));
+  
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Remember the newest text for a throttled speaker and translate it once the
+ * throttle window opens, so the displayed translation converges on the caption
+ * @param {string} speakerId - The speaker ID
+ * @param {string} text - Newest text
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {Object} options - Translation options
+ * @param {number} delay - Time until the throttle window opens (ms)
+ */
+function scheduleTrailingTranslation(speakerId, text, inputLang, outputLang, options, delay) {
+  const key = getTranslationKey(speakerId, outputLang);
+  const isScheduled = Boolean(trailingTranslations[key]);
+  
+  // Later calls only replace the text; the timer keeps the first deadline
+  trailingTranslations[key] = { text, inputLang, outputLang, options };
+  if (isScheduled) return;
+  
+  setActiveTimerForSpeaker(key, 'trailing', setTimeout(() => {
+    const trailing = trailingTranslations[key];
+    delete trailingTranslations[key];
+    clearActiveTimerForSpeaker(key, 'trailing');
+    if (!trailing) return;
+    
+    // Skip if the speaker finished or the caption moved on to a new utterance
+    // (in incremental mode the text is only the unfinished tail of the caption)
+    const getActiveSpeakers = window.getActiveSpeakers || function() { return {}; };
+    const speaker = getActiveSpeakers()[speakerId];
+    if (!speaker || !speaker.active || !speaker.fullText.trim().endsWith(trailing.text)) return;
+    
+    debugLog(`Translating trailing text for ${speakerId}`);
+    if (trailing.options.onTrailing) {
+      // The caller's path stores the result on the utterance (history, exports, glossary check)
+      trailing.options.onTrailing();
+    } else {
+      translateText(speakerId, trailing.text, trailing.inputLang, trailing.outputLang, trailing.options);
+    }
+  }, Math.max(0, delay)));
+}
+
+/**
+ * Drop a pending trailing translation (a newer request is about to run)
+ * @param {string} speakerId - The speaker ID
+ * @param {string} outputLang - Output language
+ */
+function cancelTrailingTranslation(speakerId, outputLang) {
+  const key = getTranslationKey(speakerId, outputLang);
+  delete trailingTranslations[key];
+  clearActiveTimerForSpeaker(key, 'trailing');
+}
+
 /**
  * Detect and break out of translation loops
  * @param {string} speakerId - The speaker ID
@@ -82,206 +175,355 @@ function clearTranslationLoopData() {
 }
 
 /**
- * Translate text using OpenAI API
+ * Select the translation provider for the current session
+ * @param {string} providerId - Provider ID (e.g. "openai", "deepl")
+ * @param {Object} [options] - Provider settings
+ * @param {string} [options.model] - Model name (the background worker checks it against
+ *   the models of the configured endpoint)
+ * @returns {Object} - The selected provider
+ */
+function setTranslationProvider(providerId, options = {}) {
+  providerId = providerId || Config.DEFAULT_PROVIDER;
+  
+  if (providerId !== activeProvider.id) {
+    debugLog(`Switching translation provider: ${activeProvider.id} -> ${providerId}`);
+    activeProvider = createRemoteProvider(providerId);
+    
+    // Partial translations from the previous provider are no longer comparable
+    partialTranslations = {};
+    lastTranslatedText = {};
+    clearTranslationLoopData();
+  }
+  
+  activeProvider.configure(options);
+  
+  return activeProvider;
+}
+
+/**
+ * Get the translation provider used for the current session
+ * @returns {Object} - The active provider
+ */
+function getTranslationProvider() {
+  return activeProvider;
+}
+
+/**
+ * List the models offered by the active provider
+ * @returns {Promise<string[]>} - Model IDs, empty if the provider has no model choice
+ */
+async function listProviderModels() {
+  if (typeof activeProvider.listModels !== 'function') {
+    return [];
+  }
+  
+  return activeProvider.listModels();
+}
+
+/**
+ * Translate text using the active translation provider
  * @param {string} speakerId - ID of the speaker
  * @param {string} text - Text to translate
  * @param {string} inputLang - Input language
  * @param {string} outputLang - Output language
- * @returns {Promise<string|null>} - Translated text or null if throttled
+ * @param {Object} [options] - Translation options
+ * @param {number} [options.priority] - Scheduler priority (final translations use a higher one)
+ * @param {string} [options.prefix] - Already translated text shown before this translation
+ *   (incremental mode translates only the unfinished tail of a caption)
+ * @param {Object[]} [options.context] - Previous utterances sent to the provider as context
+ * @param {Object[]} [options.glossary] - Glossary terms found in the text
+ * @param {string[]} [options.protectedTerms] - Extra words kept untranslated (e.g. speaker names)
+ * @param {boolean} [options.primary] - False for additional target languages (the first
+ *   target language also sets the utterance's main translatedText)
+ * @param {Function} [options.onTrailing] - Translates the newest text again once a
+ *   throttled request's window opens (default: translateText with the same arguments)
+ * @returns {Promise<string|null>} - Translated text (while throttled or in progress, the
+ *   latest one shown or the placeholder), null if a newer request superseded this one
  */
-async function translateText(speakerId, text, inputLang, outputLang) {
+async function translateText(speakerId, text, inputLang, outputLang, options = {}) {
+  // Every target language keeps its own throttling, loop detection and partial state
+  const key = getTranslationKey(speakerId, outputLang);
+  const primary = options.primary !== false;
+  const showTranslation = (translatedText, isStreaming) =>
+    updateActiveSpeakerTranslation(speakerId, translatedText, isStreaming, { outputLang, primary });
+  const withPrefix = translation => stitchTranslation(options.prefix, translation);
+  
+  // While the tail is being translated, keep showing the frozen part
+  const placeholder = options.prefix || "Translating...";
+  
   // Don't translate if the text is too short
-  if (text.length < 2) return text;
+  if (text.length < 2) return withPrefix(text);
   
-  // Create cache key
-  const cacheKey = `${inputLang}:${outputLang}:${text}`;
+  // Keep names, URLs, ticket IDs and code out of the translation
+  const masked = maskEntities(text, options.protectedTerms, options.context);
   
-  // Check cache first
-  if (translationCache.has(cacheKey)) {
-    const cachedTranslation = translationCache.get(cacheKey);
+  // Check the persistent cache first (keyed by provider, model, languages, text
+  // and the fingerprint of the prompts, glossary, context and masking)
+  const fingerprint = await getRequestFingerprint(masked, options);
+  const cachedTranslation = await getCachedTranslation(text, inputLang, outputLang, fingerprint).catch(() => null);
+  if (cachedTranslation) {
     debugLog(`Using cached translation for: ${text}`);
+    cancelTrailingTranslation(speakerId, outputLang);
     
     // Update active speakers immediately with the cached translation
-    updateActiveSpeakerTranslation(speakerId, cachedTranslation);
+    showTranslation(withPrefix(cachedTranslation));
     
-    return cachedTranslation;
+    return withPrefix(cachedTranslation);
   }
 
   // Check if we have previously translated text for this speaker
-  const prevTranslatedText = lastTranslatedText[speakerId] || '';
+  const prevTranslatedText = lastTranslatedText[key] || '';
   
   // If text hasn't changed, return previous translation
-  if (text === prevTranslatedText && partialTranslations[speakerId]) {
-    return partialTranslations[speakerId];
+  if (text === prevTranslatedText && partialTranslations[key]) {
+    return partialTranslations[key];
   }
   
   // If the text has significantly changed, reset loop detection
   if (prevTranslatedText && text.length > 0 && !text.includes(prevTranslatedText) && !prevTranslatedText.includes(text)) {
-    resetLoopDetection(speakerId);
+    resetLoopDetection(key);
   }
   
   // Check if enough time has passed since last translation
-  if (!hasTimePassedForTranslation(speakerId)) {
-    debugLog(`Too soon to translate, waiting ${Config.SUBTITLE_PROCESSING_INTERVAL}ms: ${text}`);
-    return partialTranslations[speakerId] || "Translating...";
+  if (!hasTimePassedForTranslation(key)) {
+    const wait = Config.SUBTITLE_PROCESSING_INTERVAL - (Date.now() - lastProcessedTime[key]);
+    debugLog(`Too soon to translate, retrying in ${wait}ms: ${text}`);
+    scheduleTrailingTranslation(speakerId, text, inputLang, outputLang, options, wait);
+    return partialTranslations[key] || placeholder;
   }
 
   // Rate limit API requests
   const now = Date.now();
   if (now - lastApiRequestTime < Config.API_RATE_LIMIT) {
-    debugLog(`Rate limited, waiting ${Config.API_RATE_LIMIT - (now - lastApiRequestTime)}ms`);
-    return partialTranslations[speakerId] || "Translating...";
+    const wait = Config.API_RATE_LIMIT - (now - lastApiRequestTime);
+    debugLog(`Rate limited, retrying in ${wait}ms`);
+    
+    // Let the throttle window start again when the trailing call comes in
+    delete lastProcessedTime[key];
+    scheduleTrailingTranslation(speakerId, text, inputLang, outputLang, options, wait);
+    return partialTranslations[key] || placeholder;
   }
 
-  // If there's already a translation in progress for this speaker,
-  // return the current partial translation
-  if (translationInProgress[speakerId]) {
+  // If the same text is already being translated for this speaker,
+  // return the current partial translation. A different (newer) text
+  // supersedes the running request in the scheduler.
+  if (translationInProgress[key] && translationInProgress[key].text === text) {
     debugLog(`Translation already in progress for speaker`);
-    return partialTranslations[speakerId] || "Translating...";
+    return partialTranslations[key] || placeholder;
   }
   
+  // This request covers the newest text, so a pending trailing call is obsolete
+  cancelTrailingTranslation(speakerId, outputLang);
+  
   // Update the last translated text for this speaker
-  lastTranslatedText[speakerId] = text;
+  lastTranslatedText[key] = text;
   
   // Mark this translation as in progress
-  translationInProgress[speakerId] = { text };
+  const currentRequest = { text };
+  translationInProgress[key] = currentRequest;
+  const isCurrentRequest = () => translationInProgress[key] === currentRequest;
   
   try {
     debugLog(`Translating for ${speakerId}: ${text}`);
     
     // Always update UI with "Translating..." as a feedback to the user
-    updateActiveSpeakerTranslation(speakerId, "Translating...");
+    showTranslation(placeholder);
     
-    // Format proper request to API
-    const requestBody = {
-      model: Config.MODEL_NAME,
-      messages: [
-        {
-          role: "system",
-          content: Config.TRANSLATION_SYSTEM_PROMPT
-            .replace("{inputLang}", inputLang)
-            .replace("{outputLang}", outputLang)
-        },
-        {
-          role: "user",
-          content: text
+    lastApiRequestTime = now;
+    
+    const maskedTranslation = await scheduleRequest(key, signal =>
+      activeProvider.translate(masked.text, inputLang, outputLang, {
+        signal,
+        context: masked.context,
+        glossary: options.glossary,
+        // Show streamed tokens as they arrive
+        onPartial: partialText => {
+          if (isCurrentRequest()) {
+            const restoredPartial = unmaskEntities(partialText, masked.entities, { partial: true });
+            showTranslation(withPrefix(restoredPartial), true);
+          }
         }
-      ],
-      temperature: 0.3 // Lower temperature for more consistent translations
-    };
+      }),
+      { priority: options.priority, group: speakerId }
+    );
+    const translatedText = unmaskEntities(maskedTranslation, masked.entities, { expected: masked.textEntityCount });
     
-    // Add timeout using AbortController
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 8000);
+    // Add to cache
+    cacheTranslation(text, inputLang, outputLang, translatedText, fingerprint).catch(error => {
+      debugLog(`Failed to cache translation: ${error.message}`);
+    });
     
-    try {
-      lastApiRequestTime = now;
-      const response = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${Config.OPENAI_API_KEY}`
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API response error: ${response.status} ${response.statusText}. Details: ${errorText}`);
+    // Check for translation loops
+    if (detectAndBreakTranslationLoop(key, translatedText)) {
+      // If a loop is detected, force a reset
+      if (isCurrentRequest()) {
+        delete translationInProgress[key];
       }
+      delete partialTranslations[key];
+      delete lastTranslatedText[key];
       
-      const data = await response.json();
+      // Return a different message to break the loop
+      const loopBreakMessage = "Translation temporarily unavailable. Please wait...";
+      showTranslation(loopBreakMessage);
       
-      // Verify that the response has the expected structure
-      if (!data || !data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
-        throw new Error("Invalid response structure from API");
-      }
-      
-      const translatedText = data.choices[0].message.content.trim();
-      
-      // Add to cache
-      translationCache.set(cacheKey, translatedText);
-      
-      // Check for translation loops
-      if (detectAndBreakTranslationLoop(speakerId, translatedText)) {
-        // If a loop is detected, force a reset
-        delete translationInProgress[speakerId];
-        delete partialTranslations[speakerId];
-        delete lastTranslatedText[speakerId];
-        
-        // Return a different message to break the loop
-        const loopBreakMessage = "Translation temporarily unavailable. Please wait...";
-        updateActiveSpeakerTranslation(speakerId, loopBreakMessage);
-        
-        // Schedule a reset after a short delay
-        setTimeout(() => {
-          resetLoopDetection(speakerId);
-        }, 3000);
-        
-        return loopBreakMessage;
-      }
-      
-      // Update partial translations for this speaker
-      partialTranslations[speakerId] = translatedText;
-      
-      // Update active speaker with the new translation
-      updateActiveSpeakerTranslation(speakerId, translatedText);
-      
-      // Clear in-progress flag
-      delete translationInProgress[speakerId];
+      // Schedule a reset after a short delay
+      setTimeout(() => {
+        resetLoopDetection(key);
+      }, 3000);
       
-      // Limit cache size to avoid memory leaks
-      if (translationCache.size > 500) {
-        // Delete oldest entries (first 100)
-        const keysToDelete = Array.from(translationCache.keys()).slice(0, 100);
-        keysToDelete.forEach(key => translationCache.delete(key));
-      }
-      
-      debugLog(`Translation complete: ${translatedText.substring(0, 40)}...`);
-      
-      return translatedText;
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      throw fetchError;
+      return loopBreakMessage;
     }
+    
+    // Update partial translations for this speaker
+    const displayedText = withPrefix(translatedText);
+    partialTranslations[key] = displayedText;
+    
+    // Update active speaker with the new translation
+    showTranslation(displayedText);
+    
+    // Clear in-progress flag
+    if (isCurrentRequest()) {
+      delete translationInProgress[key];
+    }
+    
+    debugLog(`Translation complete: ${translatedText.substring(0, 40)}...`);
+    
+    return displayedText;
   } catch (error) {
+    // A newer caption replaced this request; its own call updates the UI
+    if (error.name === 'AbortError') {
+      return null;
+    }
+    
     console.error("Translation error:", error);
     debugLog(`Translation error: ${error.message}`);
     
     // Clear in-progress flag
-    delete translationInProgress[speakerId];
+    if (isCurrentRequest()) {
+      delete translationInProgress[key];
+    }
     
     // Return the last partial translation if we have one
-    if (partialTranslations[speakerId]) {
-      return partialTranslations[speakerId];
+    // (and replace any half-streamed text that is still on screen)
+    if (partialTranslations[key]) {
+      showTranslation(partialTranslations[key]);
+      return partialTranslations[key];
     }
     
     // For errors, return a temporary message
-    const tempMsg = "Translating...";
-    updateActiveSpeakerTranslation(speakerId, tempMsg);
+    const tempMsg = placeholder;
+    showTranslation(tempMsg);
     return tempMsg;
   }
 }
 
+/**
+ * Translate a standalone piece of text, without per-speaker throttling or UI updates
+ * @param {string} key - Scheduler key (requests with the same key supersede each other)
+ * @param {string} text - Text to translate
+ * @param {string} inputLang - Input language
+ * @param {string} outputLang - Output language
+ * @param {Object} [options] - Translation options
+ * @param {Object[]} [options.context] - Previous utterances sent to the provider as context
+ * @param {Object[]} [options.glossary] - Glossary terms found in the text
+ * @param {string[]} [options.protectedTerms] - Extra words kept untranslated (e.g. speaker names)
+ * @param {string} [options.group] - Speaker whose priority the request shares
+ * @returns {Promise<string>} - Translated text
+ */
+async function translateSegment(key, text, inputLang, outputLang, options = {}) {
+  const masked = maskEntities(text, options.protectedTerms, options.context);
+  const fingerprint = await getRequestFingerprint(masked, options);
+  
+  const cachedTranslation = await getCachedTranslation(text, inputLang, outputLang, fingerprint).catch(() => null);
+  if (cachedTranslation) {
+    return cachedTranslation;
+  }
+  
+  const maskedTranslation = await scheduleRequest(key, signal =>
+    activeProvider.translate(masked.text, inputLang, outputLang, {
+      signal,
+      context: masked.context,
+      glossary: options.glossary
+    }),
+    { group: options.group }
+  );
+  const translatedText = unmaskEntities(maskedTranslation, masked.entities, { expected: masked.textEntityCount });
+  
+  cacheTranslation(text, inputLang, outputLang, translatedText, fingerprint).catch(error => {
+    debugLog(`Failed to cache translation: ${error.message}`);
+  });
+  
+  return translatedText;
+}
+
+/**
+ * Summarize transcript text with the active provider
+ * @param {string} key - Scheduler key (one per summarized chunk)
+ * @param {string} text - Transcript lines, or partial summaries as JSON
+ * @param {string} outputLang - Language of the summary
+ * @param {Object} [options] - Summary options
+ * @param {boolean} [options.merge] - Whether the text holds partial summaries
+ * @returns {Promise<string>} - Summary as a JSON object
+ */
+function summarizeText(key, text, outputLang, options = {}) {
+  return scheduleRequest(key, signal =>
+    activeProvider.summarize(text, outputLang, { signal, merge: options.merge }),
+    { priority: SUMMARY_PRIORITY, group: 'summary' }
+  );
+}
+
+/**
+ * Join an already translated prefix and a translation
+ * @param {string} [prefix] - Translated text shown first
+ * @param {string} translation - Translation of the text that follows
+ * @returns {string} - Stitched translation
+ */
+function stitchTranslation(prefix, translation) {
+  if (!prefix) return translation;
+  if (!translation) return prefix;
+  
+  return `${prefix} ${translation}`;
+}
+
 /**
  * Update the active speaker's translation in real-time
  * @param {string} speakerId - The speaker ID
  * @param {string} translatedText - The translated text
+ * @param {boolean} [isStreaming] - True while the translation is still arriving
+ * @param {Object} [target] - Target language of the translation
+ * @param {string} [target.outputLang] - Output language
+ * @param {boolean} [target.primary] - Whether this is the first (main) target language
  */
-function updateActiveSpeakerTranslation(speakerId, translatedText) {
+function updateActiveSpeakerTranslation(speakerId, translatedText, isStreaming = false, target = {}) {
   // Get active speakers if available in window
   const getActiveSpeakers = window.getActiveSpeakers || function() { return {}; };
   const activeSpeakers = getActiveSpeakers();
+  const speaker = activeSpeakers[speakerId];
   
   // Update translation if speaker is active
-  if (activeSpeakers[speakerId] && activeSpeakers[speakerId].active) {
+  if (speaker && speaker.active) {
+    const translations = speaker.translations || (speaker.translations = {});
+    const streamingLanguages = speaker.streamingLanguages || (speaker.streamingLanguages = {});
+    const lang = target.outputLang;
+    let changed = false;
+    
     // Only update if text is different to avoid unnecessary UI updates
-    if (activeSpeakers[speakerId].translatedText !== translatedText) {
-      activeSpeakers[speakerId].translatedText = translatedText;
-      
+    if (lang && (translations[lang] !== translatedText || streamingLanguages[lang] !== isStreaming)) {
+      translations[lang] = translatedText;
+      streamingLanguages[lang] = isStreaming;
+      changed = true;
+    }
+    
+    // The first target language is also the utterance's main translation
+    if (target.primary !== false &&
+        (speaker.translatedText !== translatedText || speaker.streaming !== isStreaming)) {
+      speaker.translatedText = translatedText;
+      speaker.translatedLang = lang;
+      speaker.streaming = isStreaming;
+      changed = true;
+    }
+    
+    if (changed) {
       // Force UI update by explicitly triggering any available display update function
       if (window.forceDisplayUpdate && typeof window.forceDisplayUpdate === 'function') {
         window.forceDisplayUpdate(activeSpeakers);
@@ -291,38 +533,13 @@ function updateActiveSpeakerTranslation(speakerId, translatedText) {
 }
 
 /**
- * Check API connection by making a simple request
+ * Check API connection through the active provider
  * @returns {Promise<boolean>} True if API is accessible
  */
 async function checkApiConnection() {
   try {
-    // Add timeout using AbortController
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-    
-    try {
-      // Make a simpler request to verify API access
-      const response = await fetch("https://api.openai.com/v1/models", {
-        method: "GET",
-        headers: {
-          "Authorization": `Bearer ${Config.OPENAI_API_KEY}`
-        },
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        debugLog(`API check failed: ${response.status} ${response.statusText}. Details: ${errorText}`);
-        return false;
-      }
-      
-      return true;
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      throw fetchError;
-    }
+    debugLog(`Checking connection to ${activeProvider.id}`);
+    return await activeProvider.checkConnection();
   } catch (error) {
     debugLog(`API check error: ${error.message}`);
     return false;
@@ -333,19 +550,19 @@ async function checkApiConnection() {
  * Clear all translation timers and related data
  */
 function clearTranslationTimers() {
-  // Clear all active timers
-  for (const speakerId in activeTimers) {
-    if (Object.prototype.hasOwnProperty.call(activeTimers, speakerId)) {
-      for (const type in activeTimers[speakerId]) {
-        if (Object.prototype.hasOwnProperty.call(activeTimers[speakerId], type)) {
-          clearTimeout(activeTimers[speakerId][type]);
-        }
-      }
+  // Clear all active timers (keyed by "<type>_<speakerId>")
+  for (const timerKey in activeTimers) {
+    if (Object.prototype.hasOwnProperty.call(activeTimers, timerKey)) {
+      clearTimeout(activeTimers[timerKey]);
     }
   }
   
+  // Cancel queued and running provider requests
+  cancelAllRequests();
+  
   // Reset data structures
   activeTimers = {};
+  trailingTranslations = {};
   translationInProgress = {};
   lastTranslatedText = {};
   lastProcessedTime = {};
@@ -393,7 +610,13 @@ function clearActiveTimerForSpeaker(speakerId, type) {
 
 export {
   translateText,
+  translateSegment,
+  summarizeText,
+  stitchTranslation,
   checkApiConnection,
+  setTranslationProvider,
+  getTranslationProvider,
+  listProviderModels,
   clearTranslationTimers,
   getActiveTimerForSpeaker,
   setActiveTimerForSpeaker,
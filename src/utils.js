@@ -21,7 +21,8 @@ function debugLog(message) {
   console.log(logEntry);
   
   // If there's a function to update popup logs, call it
-  if (typeof window.updateDebugLogs === 'function') {
+  // (there is no window in the background service worker)
+  if (typeof window !== 'undefined' && typeof window.updateDebugLogs === 'function') {
     try {
       window.updateDebugLogs();
     } catch (e) {
@@ -39,6 +40,19 @@ function getSpeakerId(speakerName) {
   return `speaker_${speakerName.replace(/[^a-z0-9]/gi, '_')}`;
 }
 
+/**
+ * Get the name of the current meeting from the Teams page title
+ * @returns {string} - Meeting name, empty outside a page
+ */
+function getMeetingName() {
+  if (typeof document === 'undefined') return '';
+  
+  return document.title
+    .replace(/^\(\d+\)\s*/, '') // Unread counter, e.g. "(2) "
+    .replace(/\s*\|\s*Microsoft Teams.*$/i, '')
+    .trim();
+}
+
 /**
  * Check if a text is likely a continuation of current speech
  * @param {object} activeSpeakers - Map of active speakers
@@ -73,6 +87,102 @@ function isContinuationOfSpeech(activeSpeakers, speaker, text) {
   return false;
 }
 
+/**
+ * Fetch with a timeout, aborting the request when the timeout expires
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options; options.signal cancels the request early
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Response>} - Fetch response
+ */
+async function fetchWithTimeout(url, options, timeout) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  
+  const unlinkSignal = linkAbortSignal(options.signal, controller);
+  
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (timedOut) {
+      throw createTimeoutError(timeout);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    unlinkSignal();
+  }
+}
+
+/**
+ * Abort a controller when an external signal aborts
+ * @param {AbortSignal} [signal] - External signal
+ * @param {AbortController} controller - Controller to abort
+ * @returns {Function} - Removes the link
+ */
+function linkAbortSignal(signal, controller) {
+  if (!signal) return () => {};
+  
+  if (signal.aborted) {
+    controller.abort();
+    return () => {};
+  }
+  
+  const onAbort = () => controller.abort();
+  signal.addEventListener('abort', onAbort);
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @returns {number|null} - Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  
+  return null;
+}
+
+/**
+ * Create an error for an unsuccessful HTTP response
+ * The status and Retry-After delay are kept so the request scheduler can decide whether to retry.
+ * @param {string} prefix - Message prefix (e.g. "API response error")
+ * @param {Response} response - Fetch response
+ * @param {string} details - Response body
+ * @returns {Error} - Error with status and retryAfter properties
+ */
+function createHttpError(prefix, response, details) {
+  const error = new Error(`${prefix}: ${response.status} ${response.statusText}. Details: ${details}`);
+  error.status = response.status;
+  error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+  return error;
+}
+
+/**
+ * Create an error for a request that timed out
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Error} - Error with the timedOut flag set
+ */
+function createTimeoutError(timeout) {
+  const error = new Error(`Request timed out after ${timeout}ms`);
+  error.timedOut = true;
+  return error;
+}
+
 // Export all debugLogs for access from other modules
 function getDebugLogs() {
   return debugLogs;
@@ -86,7 +196,12 @@ function clearDebugLogs() {
 export {
   debugLog,
   getSpeakerId,
+  getMeetingName,
   isContinuationOfSpeech,
   getDebugLogs,
-  clearDebugLogs
+  clearDebugLogs,
+  fetchWithTimeout,
+  linkAbortSignal,
+  createHttpError,
+  createTimeoutError
 };
\ No newline at end of file
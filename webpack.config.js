@@ -1,11 +1,23 @@
 const path = require('path');
 const webpack = require('webpack');
-const Dotenv = require('dotenv-webpack');
 
 module.exports = {
-  entry: './src/index.js',
+  entry: {
+    // Content script injected into Teams
+    content: './src/index.js',
+    // MV3 service worker that holds the API keys and runs provider requests
+    background: './src/background.js',
+    // Options page that overrides Config values at runtime
+    options: './src/options.js',
+    // Fills the language selects of the extension popup from the language registry
+    'popup-languages': './src/popup-languages.js',
+    // Chrome side panel that docks the translation feed next to Teams
+    'side-panel': './src/side-panel.js',
+    // Meeting history page that lists, reopens, exports and deletes past sessions
+    history: './src/history.js'
+  },
   output: {
-    filename: 'content.js',
+    filename: '[name].js',
     path: path.resolve(__dirname, 'dist'),
   },
   mode: 'production',
@@ -24,13 +36,7 @@ module.exports = {
     ]
   },
   plugins: [
-    // Используйте только один способ загрузки переменных окружения
-    new Dotenv({
-      // Это гарантирует, что ошибка не будет выброшена, если файл .env отсутствует
-      systemvars: true,
-      safe: false
-    }),
-    // Не определяйте OPENAI_API_KEY снова, чтобы избежать конфликта
+    // API keys are stored by the background worker at runtime, never built in
     new webpack.DefinePlugin({
       'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV || 'production')
     }),